@@ -0,0 +1,252 @@
+-- Phase 4 Migration Script - AI Enhancement Workflow
+-- Run this after Phase 3 is deployed
+-- Command: wrangler d1 execute playlist-ai-db --file=database/phase4_migration.sql
+
+-- ===== ENHANCEMENT REVERTS =====
+
+-- Value of the target field before the enhancement was applied, so it can be reverted.
+-- '' means the field was empty; NULL marks rows created before this column existed.
+ALTER TABLE enhancement_history ADD COLUMN previous_content TEXT;
+
+-- ===== ENHANCEMENT RATINGS =====
+
+-- Style the enhancement was generated with, so user ratings can be aggregated per style
+ALTER TABLE enhancement_history ADD COLUMN enhancement_style TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_history_rating ON enhancement_history(user_id, enhancement_style, ai_model)
+WHERE user_rating IS NOT NULL;
+
+-- ===== TITLE SUGGESTIONS =====
+
+-- JSON with type-specific details (e.g. title alternatives awaiting a choice)
+ALTER TABLE enhancement_history ADD COLUMN metadata TEXT;
+
+-- ===== PLAYLIST CATEGORIZATION =====
+
+-- Headline categories are stored as columns so they can be filtered and indexed;
+-- the full AI categorization (secondary categories, tags, ...) is kept as JSON.
+ALTER TABLE playlists ADD COLUMN primary_category TEXT;
+ALTER TABLE playlists ADD COLUMN subject_discipline TEXT;
+ALTER TABLE playlists ADD COLUMN educational_level TEXT; -- 'elementary', 'secondary', 'undergraduate', 'graduate', 'professional'
+ALTER TABLE playlists ADD COLUMN instructional_type TEXT; -- 'tutorial', 'course', 'workshop', 'lecture', 'demonstration', 'reference'
+ALTER TABLE playlists ADD COLUMN categories TEXT;
+ALTER TABLE playlists ADD COLUMN categorized_at INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_playlists_subject ON playlists(user_id, subject_discipline);
+CREATE INDEX IF NOT EXISTS idx_playlists_level ON playlists(user_id, educational_level);
+CREATE INDEX IF NOT EXISTS idx_playlists_primary_category ON playlists(user_id, primary_category);
+
+-- The Phase 3 trigger fired for every enhancement type, so completing a
+-- categorization (or a title, analysis, ...) marked the description as
+-- enhanced and bumped enhancement_version. It now only counts descriptions.
+DROP TRIGGER IF EXISTS update_playlist_enhancement_status;
+
+CREATE TRIGGER IF NOT EXISTS update_playlist_enhancement_status
+AFTER UPDATE ON enhancement_history
+WHEN NEW.enhancement_type = 'description' AND NEW.status = 'completed' AND OLD.status != 'completed'
+BEGIN
+    UPDATE playlists
+    SET
+        enhancement_status = 'completed',
+        last_enhanced_at = NEW.completed_at,
+        enhancement_version = enhancement_version + 1,
+        updated_at = strftime('%s', 'now')
+    WHERE id = NEW.playlist_id;
+END;
+
+-- ===== MONTHLY BUDGET ENFORCEMENT =====
+
+-- What happens when a request would exceed max_monthly_cost: 'block' or 'downgrade' (to a cheaper model)
+ALTER TABLE user_ai_preferences ADD COLUMN budget_action TEXT DEFAULT 'block';
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_history_user_created ON enhancement_history(user_id, created_at);
+
+-- ===== LEARNING OBJECTIVES =====
+
+-- Structured learning objectives per playlist, in display order. AI-generated
+-- lists replace the previous list; users can then edit individual objectives.
+CREATE TABLE IF NOT EXISTS playlist_learning_objectives (
+    id TEXT PRIMARY KEY,
+    playlist_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    objective TEXT NOT NULL,
+    video_ids TEXT, -- JSON array of playlist_videos ids the objective is tied to; empty = whole playlist
+    source TEXT DEFAULT 'ai', -- 'ai', 'user'
+    enhancement_id TEXT, -- generation that produced the objective
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_learning_objectives_playlist ON playlist_learning_objectives(playlist_id, position);
+
+-- ===== DESCRIPTION VARIANTS =====
+
+-- Candidate texts generated under one 'description' enhancement. The enhancement
+-- stays 'pending' until a candidate is selected; the winner is marked 'selected'
+-- and the rest 'rejected', so style/temperature preferences can be aggregated.
+CREATE TABLE IF NOT EXISTS enhancement_candidates (
+    id TEXT PRIMARY KEY,
+    enhancement_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    style TEXT NOT NULL,
+    temperature REAL NOT NULL,
+    content TEXT,
+    ai_model TEXT,
+    tokens_used INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0.0,
+    processing_time_ms INTEGER,
+    quality_score REAL,
+    status TEXT DEFAULT 'generated', -- 'generated', 'failed', 'selected', 'rejected'
+    error_message TEXT,
+    selected_at INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (enhancement_id) REFERENCES enhancement_history(id) ON DELETE CASCADE,
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_candidates_enhancement ON enhancement_candidates(enhancement_id, position);
+CREATE INDEX IF NOT EXISTS idx_enhancement_candidates_user_style ON enhancement_candidates(user_id, style, status);
+
+-- ===== VIDEO SUMMARIES =====
+
+-- AI summaries keyed by YouTube video, shared by every playlist containing the
+-- video so each one is only summarized (and paid for) once
+CREATE TABLE IF NOT EXISTS video_summaries (
+    id TEXT PRIMARY KEY,
+    youtube_video_id TEXT UNIQUE NOT NULL,
+    summary TEXT NOT NULL,
+    key_points TEXT, -- JSON array of strings
+    ai_model TEXT,
+    tokens_used INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0.0,
+    enhancement_id TEXT, -- history row of the run that generated it
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- ===== PROMPT TEMPLATE REGISTRY =====
+
+-- Named, versioned prompt templates; one version per name is active. Version 1
+-- of each name is the built-in template (BUILTIN_PROMPT_TEMPLATES), seeded by
+-- the worker on first use so the text has a single source.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL, -- 'description', 'description_batch', 'title', 'analysis', 'categorization', 'objectives', 'video_summaries', 'translation'
+    version INTEGER NOT NULL,
+    system_prompt TEXT, -- NULL keeps the client's default system prompt
+    body TEXT NOT NULL,
+    is_active INTEGER DEFAULT 0,
+    notes TEXT,
+    created_by TEXT, -- admin email; NULL for built-in versions
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    activated_at INTEGER,
+    UNIQUE(name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(name, is_active);
+
+-- Template version each enhancement was generated with; prompt_used (Phase 3)
+-- now holds the exact rendered prompt as JSON { system, user }
+ALTER TABLE enhancement_history ADD COLUMN prompt_template_id TEXT;
+ALTER TABLE enhancement_history ADD COLUMN prompt_template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_history_prompt_template ON enhancement_history(prompt_template_id);
+
+-- Variants differ by style and temperature, so each candidate keeps its own prompt
+ALTER TABLE enhancement_candidates ADD COLUMN prompt_used TEXT;
+
+-- ===== AI RESPONSE CACHE =====
+
+-- 1 when the AI response came from the CACHE KV namespace (keyed by a hash of
+-- model, messages and parameters) instead of the provider; such rows cost nothing
+ALTER TABLE enhancement_history ADD COLUMN cached INTEGER DEFAULT 0;
+
+-- ===== DESCRIPTION TRANSLATIONS =====
+
+-- Translations of a playlist's enhanced description, one per language code.
+-- source_description is the ai_description that was translated; a translation
+-- whose source no longer matches the playlist is stale and is not served.
+-- source_language is the language of that description (the owner's
+-- language_preference), served as the original during language negotiation.
+CREATE TABLE IF NOT EXISTS playlist_translations (
+    id TEXT PRIMARY KEY,
+    playlist_id TEXT NOT NULL,
+    language TEXT NOT NULL, -- language code, e.g. 'es'
+    description TEXT NOT NULL,
+    source_description TEXT NOT NULL,
+    source_language TEXT NOT NULL DEFAULT 'en',
+    ai_model TEXT,
+    tokens_used INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0.0,
+    enhancement_id TEXT, -- 'translation' history row that generated it
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    UNIQUE(playlist_id, language),
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE
+);
+
+-- ===== AI USAGE LEDGER =====
+
+-- One row per AI provider call, written by OpenAIClient: successful calls,
+-- failed ones and those answered from the response cache. feature is what the
+-- call was for (the enhancement type, or e.g. 'description_batch').
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    playlist_id TEXT, -- NULL for calls covering several playlists
+    feature TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0.0,
+    outcome TEXT NOT NULL, -- 'success', 'error', 'cached'
+    error_message TEXT,
+    duration_ms INTEGER,
+    attempts INTEGER DEFAULT 1, -- provider attempts, including retries
+    tokens_estimated INTEGER DEFAULT 0, -- 1 when the provider reported no usage
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_user_date ON ai_usage_ledger(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_date ON ai_usage_ledger(created_at);
+
+-- The Phase 3 trigger only counted rows inserted as completed, but
+-- enhancements are inserted as 'processing' and completed later, so it
+-- never fired. ai_usage_tracking is rolled up from the ledger instead.
+DROP TRIGGER IF EXISTS update_ai_usage_tracking;
+
+-- Cached calls reach no provider and are not counted
+CREATE TRIGGER IF NOT EXISTS rollup_ai_usage_ledger
+AFTER INSERT ON ai_usage_ledger
+WHEN NEW.user_id IS NOT NULL AND NEW.outcome != 'cached'
+BEGIN
+    INSERT INTO ai_usage_tracking
+    (id, user_id, date, model_name, requests_count, tokens_used, cost_usd, success_count, error_count)
+    VALUES (
+        lower(hex(randomblob(16))),
+        NEW.user_id,
+        date(NEW.created_at, 'unixepoch'),
+        NEW.model,
+        1,
+        NEW.total_tokens,
+        NEW.cost_usd,
+        CASE WHEN NEW.outcome = 'success' THEN 1 ELSE 0 END,
+        CASE WHEN NEW.outcome = 'error' THEN 1 ELSE 0 END
+    )
+    ON CONFLICT(user_id, date, model_name) DO UPDATE SET
+        requests_count = requests_count + 1,
+        tokens_used = tokens_used + excluded.tokens_used,
+        cost_usd = cost_usd + excluded.cost_usd,
+        success_count = success_count + excluded.success_count,
+        error_count = error_count + excluded.error_count,
+        updated_at = strftime('%s', 'now');
+END;
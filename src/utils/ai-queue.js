@@ -0,0 +1,266 @@
+// src/utils/ai-queue.js - Background job queue backed by the ai_processing_queue table
+
+import { PlaylistDB } from './db-utils.js';
+
+/**
+ * Enhancement types the queue consumer knows how to process
+ */
+export const QUEUE_ENHANCEMENT_TYPES = ['description', 'categorization'];
+
+/**
+ * D1-backed queue for AI jobs.
+ *
+ * Jobs are claimed in priority order (1 = most urgent, 10 = least) and then by
+ * scheduled_at. Failed jobs are rescheduled with exponential backoff until
+ * max_attempts is reached, after which they stay 'failed'. A description job
+ * that fails for good also marks its playlist's enhancement as 'failed', since
+ * it may have failed before an enhancement was recorded to do that.
+ */
+export class AIProcessingQueue {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.baseRetryDelay = options.baseRetryDelay || 60; // seconds
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 60; // 1 hour
+    this.staleAfter = options.staleAfter || 15 * 60; // reclaim jobs stuck in 'processing'
+  }
+
+  /**
+   * Add a job to the queue, reusing an open job for the same playlist and type
+   */
+  async enqueue(jobData) {
+    const {
+      userId,
+      playlistId,
+      enhancementType = 'description',
+      priority = 5,
+      maxAttempts = 3,
+      delaySeconds = 0,
+      metadata = null
+    } = jobData;
+
+    const existing = await this.db.prepare(`
+      SELECT * FROM ai_processing_queue
+      WHERE playlist_id = ? AND enhancement_type = ? AND status IN ('queued', 'processing')
+      ORDER BY created_at DESC LIMIT 1
+    `).bind(playlistId, enhancementType).first();
+
+    if (existing) {
+      return { job: existing, created: false };
+    }
+
+    const id = crypto.randomUUID();
+    const now = Math.floor(Date.now() / 1000);
+    const clampedPriority = Math.max(1, Math.min(10, parseInt(priority) || 5));
+
+    await this.db.prepare(`
+      INSERT INTO ai_processing_queue
+      (id, user_id, playlist_id, enhancement_type, priority, max_attempts, scheduled_at, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      id, userId, playlistId, enhancementType, clampedPriority, maxAttempts,
+      now + delaySeconds, metadata ? JSON.stringify(metadata) : null
+    ).run();
+
+    const job = await this.db.prepare('SELECT * FROM ai_processing_queue WHERE id = ?')
+      .bind(id).first();
+
+    return { job, created: true };
+  }
+
+  /**
+   * Claim up to `limit` due jobs. A job is only returned if this caller won the
+   * queued -> processing transition, so concurrent consumers never share a job.
+   */
+  async claimNext(limit = 5) {
+    const candidates = await this.db.prepare(`
+      SELECT id FROM ai_processing_queue
+      WHERE status = 'queued' AND scheduled_at <= strftime('%s', 'now')
+      ORDER BY priority ASC, scheduled_at ASC
+      LIMIT ?
+    `).bind(limit).all();
+
+    const claimed = [];
+
+    for (const candidate of candidates.results || []) {
+      const result = await this.db.prepare(`
+        UPDATE ai_processing_queue
+        SET status = 'processing', attempts = attempts + 1,
+            started_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+        WHERE id = ? AND status = 'queued'
+      `).bind(candidate.id).run();
+
+      if (result.meta?.changes > 0) {
+        const job = await this.db.prepare('SELECT * FROM ai_processing_queue WHERE id = ?')
+          .bind(candidate.id).first();
+        claimed.push(job);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Mark a job as completed
+   */
+  async markCompleted(job, resultMetadata = {}) {
+    await this.db.prepare(`
+      UPDATE ai_processing_queue
+      SET status = 'completed', error_message = NULL, metadata = ?,
+          completed_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      JSON.stringify({ ...this.parseMetadata(job), result: resultMetadata }),
+      job.id
+    ).run();
+  }
+
+  /**
+   * Record a failed attempt. Reschedules with backoff unless the job is out of
+   * attempts or the failure is permanent. Returns true if the job will retry.
+   */
+  async markFailed(job, error, { permanent = false } = {}) {
+    const willRetry = !permanent && job.attempts < job.max_attempts;
+
+    if (willRetry) {
+      await this.db.prepare(`
+        UPDATE ai_processing_queue
+        SET status = 'queued', error_message = ?, scheduled_at = ?,
+            updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(
+        error.message,
+        Math.floor(Date.now() / 1000) + this.getRetryDelay(job.attempts),
+        job.id
+      ).run();
+    } else {
+      await this.db.prepare(`
+        UPDATE ai_processing_queue
+        SET status = 'failed', error_message = ?,
+            completed_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(error.message, job.id).run();
+
+      if (job.enhancement_type === 'description') {
+        await PlaylistDB.setEnhancementStatus(this.db, job.playlist_id, 'failed');
+      }
+    }
+
+    return willRetry;
+  }
+
+  /**
+   * Exponential backoff delay in seconds for the given attempt number
+   */
+  getRetryDelay(attempts) {
+    const delay = this.baseRetryDelay * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, this.maxRetryDelay);
+  }
+
+  /**
+   * Treat jobs whose consumer died mid-run as failed attempts, so they are
+   * retried or failed like any other
+   */
+  async releaseStale() {
+    const stale = await this.db.prepare(`
+      SELECT * FROM ai_processing_queue
+      WHERE status = 'processing' AND started_at < strftime('%s', 'now') - ?
+    `).bind(this.staleAfter).all();
+
+    const jobs = stale.results || [];
+    for (const job of jobs) {
+      await this.markFailed(job, new Error('Processing timed out'));
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Get a single job owned by a user
+   */
+  async getJob(jobId, userId) {
+    return await this.db.prepare(`
+      SELECT * FROM ai_processing_queue WHERE id = ? AND user_id = ?
+    `).bind(jobId, userId).first();
+  }
+
+  /**
+   * List a user's jobs, newest first
+   */
+  async listForUser(userId, { status = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM ai_processing_queue WHERE user_id = ?';
+    const params = [userId];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    const result = await this.db.prepare(query).bind(...params).all();
+    return result.results || [];
+  }
+
+  /**
+   * Process due jobs with the given handlers, keyed by enhancement_type.
+   * Handlers receive the claimed job and return result metadata.
+   */
+  async process(handlers, { batchSize = 5 } = {}) {
+    await this.releaseStale();
+
+    const jobs = await this.claimNext(batchSize);
+    const summary = { claimed: jobs.length, completed: 0, retried: 0, failed: 0 };
+
+    for (const job of jobs) {
+      const handler = handlers[job.enhancement_type];
+
+      if (!handler) {
+        await this.markFailed(job, new Error(`Unsupported enhancement type: ${job.enhancement_type}`), { permanent: true });
+        summary.failed++;
+        continue;
+      }
+
+      try {
+        const result = await handler(job);
+        await this.markCompleted(job, result);
+        summary.completed++;
+      } catch (error) {
+        console.error(`Queue job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error);
+        // Retrying cannot help until the budget resets next month
+        const willRetry = await this.markFailed(job, error, { permanent: Boolean(error.budgetExceeded) });
+        willRetry ? summary.retried++ : summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  parseMetadata(job) {
+    try {
+      return job.metadata ? JSON.parse(job.metadata) : {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+/**
+ * Transform a queue row for API responses
+ */
+export function transformQueueJob(job) {
+  return {
+    id: job.id,
+    playlistId: job.playlist_id,
+    enhancementType: job.enhancement_type,
+    priority: job.priority,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    scheduledAt: job.scheduled_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    errorMessage: job.error_message,
+    createdAt: job.created_at
+  };
+}
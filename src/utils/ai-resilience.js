@@ -0,0 +1,263 @@
+// src/utils/ai-resilience.js - Retries, timeouts and a circuit breaker for AI provider requests
+
+/**
+ * Defaults for AI_MAX_RETRIES and AI_REQUEST_TIMEOUT_MS, and the backoff bounds.
+ * A Retry-After longer than maxRetryAfterMs is not waited out; the request
+ * fails instead of holding the worker.
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 2,
+  timeoutMs: 30000,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 20000
+};
+
+/**
+ * Failed requests (after retries) that open the circuit, and how long it stays open
+ */
+export const DEFAULT_CIRCUIT_OPTIONS = {
+  failureThreshold: 5,
+  cooldownSeconds: 60
+};
+
+// Failure counts expire after this long without a new failure (KV's minimum TTL is 60s)
+const CIRCUIT_FAILURE_WINDOW_SECONDS = 300;
+
+/**
+ * Retry options from the environment (AI_MAX_RETRIES, AI_REQUEST_TIMEOUT_MS)
+ */
+export function retryOptionsFromEnv(env) {
+  const maxRetries = parseInt(env.AI_MAX_RETRIES);
+  const timeoutMs = parseInt(env.AI_REQUEST_TIMEOUT_MS);
+
+  return {
+    ...DEFAULT_RETRY_OPTIONS,
+    maxRetries: Number.isFinite(maxRetries) ? Math.max(0, maxRetries) : DEFAULT_RETRY_OPTIONS.maxRetries,
+    timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_RETRY_OPTIONS.timeoutMs
+  };
+}
+
+/**
+ * Rate limits, timeouts and server errors are worth retrying; other client
+ * errors (bad request, invalid key, ...) will fail the same way again
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay requested by the provider in milliseconds, from retry-after-ms or
+ * Retry-After (seconds or an HTTP date), or null when none was sent
+ */
+export function parseRetryAfter(headers) {
+  const milliseconds = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(milliseconds)) {
+    return Math.max(0, milliseconds);
+  }
+
+  const value = headers.get('retry-after');
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error for a non-OK provider response, classified as retryable or not
+ */
+export async function providerError(name, response) {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(`${name} API error: ${errorData.error?.message || response.statusText}`);
+
+  error.status = response.status;
+  // An exhausted quota is reported as 429 but will not recover by waiting
+  error.retryable = isRetryableStatus(response.status) && errorData.error?.code !== 'insufficient_quota';
+  error.retryAfterMs = parseRetryAfter(response.headers);
+
+  return error;
+}
+
+/**
+ * Per-provider circuit breaker with its state in KV, shared by all isolates.
+ * Requests that still fail with a retryable error after their retries count
+ * towards failureThreshold; once reached, the circuit opens and requests fail
+ * immediately for cooldownSeconds. After the cooldown the next request is let
+ * through: success closes the circuit, another failure re-opens it.
+ * Without a KV namespace the breaker does nothing.
+ */
+export class CircuitBreaker {
+  constructor(kv, name, options = {}) {
+    this.kv = kv || null;
+    this.name = name;
+    this.key = `ai-circuit:${name}`;
+    this.options = { ...DEFAULT_CIRCUIT_OPTIONS, ...options };
+    this.state = null;
+  }
+
+  /**
+   * Throw while the circuit is open. The error has circuitOpen = true and
+   * retryAfter (seconds).
+   */
+  async check() {
+    this.state = await this.readState();
+
+    if (this.state?.openUntil > Date.now()) {
+      const retryAfter = Math.ceil((this.state.openUntil - Date.now()) / 1000);
+      const error = new Error(
+        `AI provider temporarily unavailable: ${this.name} is failing, retry in ${retryAfter}s`
+      );
+      error.circuitOpen = true;
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  async recordSuccess() {
+    if (!this.kv || !this.state) return;
+
+    this.state = null;
+    try {
+      await this.kv.delete(this.key);
+    } catch (error) {
+      console.error('CircuitBreaker.recordSuccess error:', error);
+    }
+  }
+
+  async recordFailure() {
+    if (!this.kv) return;
+
+    const { failureThreshold, cooldownSeconds } = this.options;
+    const previous = await this.readState();
+    const failures = (previous?.failures || 0) + 1;
+    const state = { failures, openUntil: previous?.openUntil || null, lastFailureAt: Date.now() };
+
+    if (failures >= failureThreshold) {
+      state.openUntil = Date.now() + cooldownSeconds * 1000;
+      console.warn(`AI circuit for ${this.name} opened after ${failures} failed requests`);
+    }
+
+    this.state = state;
+    try {
+      await this.kv.put(this.key, JSON.stringify(state), {
+        expirationTtl: Math.max(CIRCUIT_FAILURE_WINDOW_SECONDS, cooldownSeconds)
+      });
+    } catch (error) {
+      console.error('CircuitBreaker.recordFailure error:', error);
+    }
+  }
+
+  async readState() {
+    if (!this.kv) return null;
+
+    try {
+      return await this.kv.get(this.key, 'json');
+    } catch (error) {
+      console.error('CircuitBreaker.readState error:', error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Send a provider request, retrying retryable failures (429, 5xx, network
+ * errors, timeouts) with exponential backoff and full jitter, or after the
+ * provider's Retry-After when it sent one.
+ *
+ * `send(signal)` performs one fetch. The timeout covers each attempt up to the
+ * response headers; a stream that fails once it has started is not retried,
+ * since its tokens have already been passed on. Every attempt is appended to
+ * `attempts` as { attempt, status, error, durationMs, retryInMs }, and the
+ * error thrown at the end carries the list as error.attempts.
+ */
+export async function requestWithRetry(send, { name, retry = DEFAULT_RETRY_OPTIONS, breaker = null, attempts = [] }) {
+  if (breaker) {
+    await breaker.check();
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+    let error;
+
+    try {
+      const response = await sendWithTimeout(send, retry.timeoutMs);
+
+      if (response.ok) {
+        attempts.push({ attempt, status: response.status, durationMs: Date.now() - startTime });
+        if (breaker) {
+          await breaker.recordSuccess();
+        }
+        return response;
+      }
+
+      error = await providerError(name, response);
+    } catch (requestError) {
+      error = networkError(name, requestError, retry.timeoutMs);
+    }
+
+    const entry = { attempt, status: error.status || null, error: error.message, durationMs: Date.now() - startTime };
+    attempts.push(entry);
+
+    const delayMs = error.retryable && attempt <= retry.maxRetries
+      ? retryDelay(attempt, retry, error.retryAfterMs)
+      : null;
+
+    if (delayMs === null) {
+      if (error.retryable && breaker) {
+        await breaker.recordFailure();
+      }
+      error.attempts = attempts;
+      throw error;
+    }
+
+    entry.retryInMs = delayMs;
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+async function sendWithTimeout(send, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await send(controller.signal);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Errors thrown by fetch itself (timeouts, connection failures) are retryable
+ */
+function networkError(name, cause, timeoutMs) {
+  const error = new Error(cause.name === 'AbortError'
+    ? `${name} API request timed out after ${timeoutMs}ms`
+    : `${name} API request failed: ${cause.message}`);
+
+  error.status = null;
+  error.retryable = true;
+  error.retryAfterMs = null;
+
+  return error;
+}
+
+/**
+ * Delay before the next attempt, or null when the provider asked for a longer
+ * wait than we are willing to spend
+ */
+function retryDelay(attempt, { baseDelayMs, maxDelayMs, maxRetryAfterMs }, retryAfterMs) {
+  const backoff = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+  if (retryAfterMs === null || retryAfterMs === undefined) {
+    return backoff;
+  }
+
+  return retryAfterMs <= maxRetryAfterMs ? Math.max(retryAfterMs, backoff) : null;
+}
@@ -0,0 +1,317 @@
+// src/utils/ai-schemas.js - Schemas, repair and validation for AI JSON outputs
+
+/**
+ * Expected shape of each AI task that answers in JSON.
+ *
+ * Schemas use a small subset of JSON Schema: type, properties, required,
+ * items, minItems, minLength and enum. Two keywords steer repair rather than
+ * validation: `default` fills a missing or null property, and
+ * `dropInvalidItems` removes array items that do not match (as long as
+ * minItems is still met). An object schema with `shorthand` also accepts a
+ * bare string as { [shorthand]: string }.
+ */
+export const AI_OUTPUT_SCHEMAS = {
+  analysis: {
+    type: 'object',
+    required: ['topics', 'difficulty'],
+    properties: {
+      topics: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, dropInvalidItems: true },
+      themes: stringList(),
+      difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+      targetAudience: { type: 'string', default: 'general' },
+      learningObjectives: stringList(),
+      prerequisites: stringList(),
+      estimatedDuration: { type: 'string', default: 'unknown' },
+      contentType: { type: 'string' },
+      skillLevel: { type: 'string' },
+      relatedFields: stringList(),
+      keywords: stringList(),
+      learningPath: {
+        type: 'object',
+        properties: {
+          hasProgression: { type: 'boolean' },
+          structure: { type: 'string' },
+          complexity: { type: 'string' }
+        }
+      },
+      practicalApplications: stringList(),
+      industryRelevance: stringList()
+    }
+  },
+
+  categorization: {
+    type: 'object',
+    required: ['primaryCategory', 'educationalLevel'],
+    properties: {
+      primaryCategory: { type: 'string', minLength: 1 },
+      secondaryCategories: stringList(),
+      educationalLevel: {
+        type: 'string',
+        enum: ['elementary', 'secondary', 'undergraduate', 'graduate', 'professional']
+      },
+      subjectDiscipline: { type: 'string' },
+      instructionalType: {
+        type: 'string',
+        enum: ['tutorial', 'course', 'workshop', 'lecture', 'demonstration', 'reference']
+      },
+      skillType: {
+        type: 'string',
+        enum: ['technical', 'creative', 'analytical', 'practical', 'theoretical']
+      },
+      careerRelevance: stringList(),
+      certificationAlignment: stringList(),
+      tags: stringList()
+    }
+  },
+
+  titles: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    minItems: 1,
+    dropInvalidItems: true
+  },
+
+  objectives: {
+    type: 'array',
+    items: {
+      type: 'object',
+      shorthand: 'objective',
+      required: ['objective'],
+      properties: {
+        objective: { type: 'string', minLength: 1 },
+        videos: { type: 'array', items: { type: 'integer' }, default: [], dropInvalidItems: true }
+      }
+    },
+    minItems: 1,
+    dropInvalidItems: true
+  },
+
+  video_summaries: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['video', 'summary'],
+      properties: {
+        video: { type: 'integer' },
+        summary: { type: 'string', minLength: 1 },
+        keyPoints: stringList()
+      }
+    },
+    minItems: 1,
+    dropInvalidItems: true
+  },
+
+  description_batch: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['playlistId'],
+      properties: {
+        playlistId: { type: 'string', minLength: 1 },
+        confidence: { type: 'number' },
+        reasoning: { type: 'string' }
+      }
+    },
+    minItems: 1,
+    dropInvalidItems: true
+  }
+};
+
+function stringList() {
+  return { type: 'array', items: { type: 'string' }, default: [], dropInvalidItems: true };
+}
+
+/**
+ * Parse, repair and validate an AI response against a schema.
+ * Returns { valid, data, errors, repairs }: errors are "path: problem"
+ * strings, repairs describe what was fixed on the way.
+ */
+export function parseJsonOutput(content, schema) {
+  const repairs = [];
+
+  let value;
+  try {
+    value = extractJson(content, schema.type, repairs);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`$: ${error.message}`], repairs };
+  }
+
+  const data = repairValue(value, schema, '$', repairs);
+  const errors = validateValue(data, schema, '$');
+
+  return { valid: errors.length === 0, data, errors, repairs };
+}
+
+/**
+ * Error for a response that could not be repaired into a valid output.
+ * validationErrors lists what was wrong.
+ */
+export function invalidOutputError(task, errors) {
+  const shown = errors.slice(0, 5).join('; ');
+  const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+  const error = new Error(`AI returned invalid ${task} output: ${shown}${more}`);
+
+  error.task = task;
+  error.validationErrors = errors;
+
+  return error;
+}
+
+/**
+ * Parse the JSON value out of a response, removing code fences, text around
+ * the JSON and trailing commas
+ */
+function extractJson(content, type, repairs) {
+  let text = String(content ?? '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    text = fenced[1].trim();
+    repairs.push('removed code fence');
+  }
+
+  const [open, close] = type === 'array' ? ['[', ']'] : ['{', '}'];
+  const start = text.indexOf(open);
+  const end = text.lastIndexOf(close);
+  if (start === -1 || end < start) {
+    throw new Error(`no JSON ${type} found`);
+  }
+  if (start > 0 || end < text.length - 1) {
+    repairs.push('removed text around the JSON');
+  }
+  text = text.slice(start, end + 1);
+
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    const withoutTrailingCommas = text.replace(/,(\s*[}\]])/g, '$1');
+    if (withoutTrailingCommas !== text) {
+      try {
+        const value = JSON.parse(withoutTrailingCommas);
+        repairs.push('removed trailing commas');
+        return value;
+      } catch {
+        // Report the original parse error
+      }
+    }
+    throw new Error(`invalid JSON (${parseError.message})`);
+  }
+}
+
+/**
+ * Fix what can be fixed without asking again: defaults for missing fields,
+ * numbers sent as strings, enum values in the wrong case, and items that do
+ * not match
+ */
+function repairValue(value, schema, path, repairs) {
+  if ((schema.type === 'number' || schema.type === 'integer') &&
+      typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    repairs.push(`converted ${path} to a number`);
+    return Number(value);
+  }
+
+  if (schema.type === 'string' && schema.enum && typeof value === 'string' && !schema.enum.includes(value)) {
+    const normalized = value.trim().toLowerCase();
+    if (schema.enum.includes(normalized)) {
+      repairs.push(`normalized ${path}`);
+      return normalized;
+    }
+  }
+
+  if (schema.type === 'object') {
+    if (typeof value === 'string' && schema.shorthand) {
+      value = { [schema.shorthand]: value };
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (repaired[key] === undefined || repaired[key] === null) {
+        if (propertySchema.default !== undefined) {
+          repaired[key] = structuredClone(propertySchema.default);
+          repairs.push(`filled missing ${path}.${key}`);
+        }
+      } else {
+        repaired[key] = repairValue(repaired[key], propertySchema, `${path}.${key}`, repairs);
+      }
+    }
+    return repaired;
+  }
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    const items = schema.items
+      ? value.map((item, index) => repairValue(item, schema.items, `${path}[${index}]`, repairs))
+      : value;
+
+    if (schema.dropInvalidItems && schema.items) {
+      const valid = items.filter((item, index) => validateValue(item, schema.items, `${path}[${index}]`).length === 0);
+      // Keep everything when too few are left, so the errors can be reported
+      if (valid.length < items.length && valid.length >= (schema.minItems || 0)) {
+        repairs.push(`dropped ${items.length - valid.length} invalid item(s) from ${path}`);
+        return valid;
+      }
+    }
+    return items;
+  }
+
+  return value;
+}
+
+/**
+ * Problems with a value, as "path: problem" strings
+ */
+function validateValue(value, schema, path) {
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    return [`${path}: expected ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got "${value.substring(0, 50)}")`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateValue(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : (Number.isFinite(value) ? 'number' : 'null');
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -23,12 +23,22 @@ async function createJWT(payload, secret) {
   return `${data}.${encodedSignature}`;
 }
 
+/**
+ * Error for a missing or invalid token. The message starts with
+ * 'Unauthorized' and `unauthorized` is set, so handlers can answer 401.
+ */
+function unauthorizedError(reason) {
+  const error = new Error(`Unauthorized: ${reason}`);
+  error.unauthorized = true;
+  return error;
+}
+
 /**
  * Verify and decode a JWT token
  */
 async function verifyJWT(token, secret) {
   const parts = token.split('.');
-  if (parts.length !== 3) throw new Error('Invalid token format');
+  if (parts.length !== 3) throw unauthorizedError('Invalid token format');
   
   const [encodedHeader, encodedPayload, encodedSignature] = parts;
   const data = `${encodedHeader}.${encodedPayload}`;
@@ -41,12 +51,21 @@ async function verifyJWT(token, secret) {
     ['verify']
   );
   
-  const signature = new Uint8Array(atob(encodedSignature).split('').map(c => c.charCodeAt(0)));
+  let signature;
+  try {
+    signature = new Uint8Array(atob(encodedSignature).split('').map(c => c.charCodeAt(0)));
+  } catch {
+    throw unauthorizedError('Invalid token format');
+  }
   const isValid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(data));
   
-  if (!isValid) throw new Error('Invalid token signature');
+  if (!isValid) throw unauthorizedError('Invalid token signature');
   
-  return JSON.parse(atob(encodedPayload));
+  try {
+    return JSON.parse(atob(encodedPayload));
+  } catch {
+    throw unauthorizedError('Invalid token format');
+  }
 }
 
 /**
@@ -141,7 +160,7 @@ function isValidPassword(password) {
 function extractUserFromToken(request, secret) {
   const authHeader = request.headers.get('Authorization');
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('No authentication token provided');
+    throw unauthorizedError('No authentication token provided');
   }
   
   const token = authHeader.replace('Bearer ', '');
@@ -1,5 +1,12 @@
 // src/utils/content-analysis.js - Content analysis and categorization engine
 
+import { PromptSafety } from './prompt-safety.js';
+import { PromptOptimizer } from './prompt-templates.js';
+import { VideoSampler } from './video-sampler.js';
+
+// Prompt tokens for the videos sent to the AI analysis; larger playlists are sampled
+const AI_ANALYSIS_VIDEO_TOKEN_BUDGET = 1200;
+
 /**
  * Content Analysis Engine for extracting themes, topics, and educational patterns
  */
@@ -262,24 +269,53 @@ export class ContentAnalysisEngine {
     }
   
     /**
-     * Perform comprehensive AI-powered analysis
+     * Playlist data sent to the AI for analysis, with YouTube text neutralized.
+     * Playlists too long for AI_ANALYSIS_VIDEO_TOKEN_BUDGET are represented by
+     * a sample spread across them (see VideoSampler).
      */
-    async performAIAnalysis(playlistId, videos = []) {
-      if (!this.aiClient) {
-        throw new Error('AI client not configured');
-      }
-  
+    async prepareAIAnalysisData(playlistId, videos = []) {
       const playlist = await this.getPlaylistData(playlistId);
-      const playlistData = {
+      const sampleOptions = {
+        tokenBudget: AI_ANALYSIS_VIDEO_TOKEN_BUDGET,
+        // Title, 200 characters of description and duration, as in buildAnalysisPrompt
+        cost: video => PromptOptimizer.estimateTokenCount(
+          `100. '${video.title || ''}'\n   Description: ${(video.description || '').substring(0, 200)}...\n   Duration: ${video.duration || ''}\n`
+        )
+      };
+      let sampled = videos;
+      if (!VideoSampler.fits(videos, sampleOptions)) {
+        const topics = await this.analyzeTopics(playlistId, videos);
+        sampled = VideoSampler.select(videos, { ...sampleOptions, topics: topics.data?.allTopics || [] }).videos;
+      }
+
+      return {
         id: playlistId,
-        title: playlist?.title || '',
-        originalDescription: playlist?.original_description || '',
+        title: PromptSafety.neutralize(playlist?.title, { maxLength: 200, singleLine: true }),
+        originalDescription: PromptSafety.neutralize(playlist?.original_description),
         videoCount: videos.length,
-        videos: videos.slice(0, 20) // Limit for token usage
+        videos: sampled.map(video => ({
+          ...video,
+          title: PromptSafety.neutralize(video.title, { maxLength: 200, singleLine: true }),
+          description: PromptSafety.neutralize(video.description, { maxLength: 1000 })
+        }))
       };
+    }
+  
+    /**
+     * Perform comprehensive AI-powered analysis. An identical earlier request is
+     * answered from the AI response cache (cached: true, no cost) unless
+     * bypassCache is set. `template` is the analysis prompt template to use
+     * (the built-in one by default).
+     */
+    async performAIAnalysis(playlistId, videos = [], { bypassCache = false, template } = {}) {
+      if (!this.aiClient) {
+        throw new Error('AI client not configured');
+      }
+  
+      const playlistData = await this.prepareAIAnalysisData(playlistId, videos);
   
       try {
-        const result = await this.aiClient.analyzePlaylistContent(playlistData);
+        const result = await this.aiClient.analyzePlaylistContent(playlistData, { bypassCache, template });
         
         // Store AI analysis
         await this.storeAnalysis(playlistId, 'ai-analysis', result.analysis, 0.9);
@@ -288,12 +324,20 @@ export class ContentAnalysisEngine {
           data: result.analysis,
           confidence: 0.9,
           tokensUsed: result.usage?.totalTokens || 0,
-          cost: result.usage?.cost || 0
+          cost: result.usage?.cost || 0,
+          cached: Boolean(result.cached),
+          result
         };
   
       } catch (error) {
         console.error('AI analysis failed:', error);
-        throw new Error(`AI analysis failed: ${error.message}`);
+        const wrapped = new Error(`AI analysis failed: ${error.message}`);
+        // Keep what callers need to report an invalid output and bill its usage
+        wrapped.validationErrors = error.validationErrors;
+        wrapped.usage = error.usage;
+        wrapped.circuitOpen = error.circuitOpen;
+        wrapped.retryAfter = error.retryAfter;
+        throw wrapped;
       }
     }
   
@@ -0,0 +1,279 @@
+// src/utils/cost-report.js - AI spend across all users, for admins
+
+/**
+ * Sections of the report, in CSV order
+ */
+export const COST_REPORT_SECTIONS = ['topSpenders', 'byTier', 'byModel', 'failures', 'byPlaylistSize'];
+
+/**
+ * Default and maximum number of top spenders listed
+ */
+export const COST_REPORT_SPENDER_LIMITS = { default: 20, max: 100 };
+
+// Playlist sizes (video counts) that token usage is compared across
+const PLAYLIST_SIZE_BUCKETS = [
+  { label: '0-10', max: 10 },
+  { label: '11-25', max: 25 },
+  { label: '26-50', max: 50 },
+  { label: '51-100', max: 100 },
+  { label: '101+', max: null }
+];
+
+/**
+ * Aggregates AI spend over a date range (UTC days, inclusive).
+ *
+ * Enhancement-level figures come from enhancement_history, leaving out
+ * in-flight rows whose cost is only a reservation. Call-level failure rates
+ * come from ai_usage_tracking, which counts every provider call (retries
+ * excluded, re-asks included) since the usage ledger was introduced.
+ */
+export class AICostReport {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build the report for `from`..`to` (YYYY-MM-DD), listing up to `limit` top spenders
+   */
+  async build({ from, to, limit = COST_REPORT_SPENDER_LIMITS.default }) {
+    const start = Date.parse(`${from}T00:00:00Z`) / 1000;
+    const end = Date.parse(`${to}T00:00:00Z`) / 1000 + 24 * 60 * 60;
+
+    const [topSpenders, byTier, byModel, byType, callsByModel, byPlaylistSize] = await Promise.all([
+      this.getTopSpenders(start, end, limit),
+      this.getSpendByTier(start, end),
+      this.getSpendByModel(start, end),
+      this.getFailuresByType(start, end),
+      this.getCallFailuresByModel(from, to),
+      this.getTokensByPlaylistSize(start, end)
+    ]);
+
+    const totals = byTier.reduce((sum, row) => ({
+      users: sum.users + row.users,
+      enhancements: sum.enhancements + row.enhancements,
+      cost: sum.cost + row.cost
+    }), { users: 0, enhancements: 0, cost: 0 });
+
+    return {
+      from,
+      to,
+      totals,
+      topSpenders,
+      byTier,
+      byModel,
+      failures: { byType, byModel: callsByModel },
+      byPlaylistSize
+    };
+  }
+
+  async getTopSpenders(start, end, limit) {
+    const result = await this.db.prepare(`
+      SELECT
+        eh.user_id,
+        u.email,
+        COALESCE(u.subscription_tier, 'free') as tier,
+        COUNT(*) as enhancements,
+        SUM(CASE WHEN eh.status = 'failed' THEN 1 ELSE 0 END) as failed,
+        COALESCE(SUM(eh.tokens_used), 0) as tokens,
+        COALESCE(SUM(eh.cost_usd), 0) as cost
+      FROM enhancement_history eh
+      LEFT JOIN users u ON u.id = eh.user_id
+      WHERE eh.created_at >= ? AND eh.created_at < ? AND eh.status != 'processing'
+      GROUP BY eh.user_id
+      ORDER BY cost DESC
+      LIMIT ?
+    `).bind(start, end, limit).all();
+
+    return (result.results || []).map(row => ({
+      userId: row.user_id,
+      email: row.email,
+      tier: row.tier,
+      enhancements: row.enhancements,
+      failed: row.failed,
+      tokens: row.tokens,
+      cost: row.cost
+    }));
+  }
+
+  async getSpendByTier(start, end) {
+    const result = await this.db.prepare(`
+      SELECT
+        COALESCE(u.subscription_tier, 'free') as tier,
+        COUNT(DISTINCT eh.user_id) as users,
+        COUNT(*) as enhancements,
+        COALESCE(SUM(eh.tokens_used), 0) as tokens,
+        COALESCE(SUM(eh.cost_usd), 0) as cost
+      FROM enhancement_history eh
+      LEFT JOIN users u ON u.id = eh.user_id
+      WHERE eh.created_at >= ? AND eh.created_at < ? AND eh.status != 'processing'
+      GROUP BY tier
+      ORDER BY cost DESC
+    `).bind(start, end).all();
+
+    return (result.results || []).map(row => ({
+      tier: row.tier,
+      users: row.users,
+      enhancements: row.enhancements,
+      tokens: row.tokens,
+      cost: row.cost,
+      avgCostPerUser: row.users > 0 ? row.cost / row.users : 0
+    }));
+  }
+
+  async getSpendByModel(start, end) {
+    const result = await this.db.prepare(`
+      SELECT
+        COALESCE(ai_model, 'unknown') as model,
+        COUNT(*) as enhancements,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+        COALESCE(SUM(tokens_used), 0) as tokens,
+        COALESCE(SUM(cost_usd), 0) as cost
+      FROM enhancement_history
+      WHERE created_at >= ? AND created_at < ? AND status != 'processing'
+      GROUP BY model
+      ORDER BY cost DESC
+    `).bind(start, end).all();
+
+    return (result.results || []).map(row => ({
+      model: row.model,
+      enhancements: row.enhancements,
+      failed: row.failed,
+      tokens: row.tokens,
+      cost: row.cost,
+      avgCostPerEnhancement: row.enhancements > 0 ? row.cost / row.enhancements : 0
+    }));
+  }
+
+  async getFailuresByType(start, end) {
+    const result = await this.db.prepare(`
+      SELECT
+        enhancement_type,
+        COUNT(*) as enhancements,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+        COALESCE(SUM(CASE WHEN status = 'failed' THEN cost_usd ELSE 0 END), 0) as failed_cost
+      FROM enhancement_history
+      WHERE created_at >= ? AND created_at < ? AND status != 'processing'
+      GROUP BY enhancement_type
+      ORDER BY failed DESC
+    `).bind(start, end).all();
+
+    return (result.results || []).map(row => ({
+      enhancementType: row.enhancement_type,
+      enhancements: row.enhancements,
+      failed: row.failed,
+      failureRate: row.enhancements > 0 ? row.failed / row.enhancements : 0,
+      failedCost: row.failed_cost
+    }));
+  }
+
+  async getCallFailuresByModel(from, to) {
+    const result = await this.db.prepare(`
+      SELECT
+        model_name as model,
+        SUM(requests_count) as calls,
+        SUM(error_count) as errors,
+        COALESCE(SUM(cost_usd), 0) as cost
+      FROM ai_usage_tracking
+      WHERE date >= ? AND date <= ?
+      GROUP BY model_name
+      ORDER BY errors DESC
+    `).bind(from, to).all();
+
+    return (result.results || []).map(row => ({
+      model: row.model,
+      calls: row.calls,
+      errors: row.errors,
+      errorRate: row.calls > 0 ? row.errors / row.calls : 0,
+      cost: row.cost
+    }));
+  }
+
+  /**
+   * Successful enhancements grouped by the playlist's current video count
+   */
+  async getTokensByPlaylistSize(start, end) {
+    const bucketCase = PLAYLIST_SIZE_BUCKETS
+      .map(bucket => bucket.max === null
+        ? `ELSE '${bucket.label}'`
+        : `WHEN COALESCE(p.video_count, 0) <= ${bucket.max} THEN '${bucket.label}'`)
+      .join(' ');
+
+    const result = await this.db.prepare(`
+      SELECT
+        CASE ${bucketCase} END as size,
+        COUNT(*) as enhancements,
+        COUNT(DISTINCT eh.playlist_id) as playlists,
+        AVG(eh.tokens_used) as avg_tokens,
+        AVG(eh.cost_usd) as avg_cost
+      FROM enhancement_history eh
+      JOIN playlists p ON p.id = eh.playlist_id
+      WHERE eh.created_at >= ? AND eh.created_at < ? AND eh.status NOT IN ('processing', 'failed')
+      GROUP BY size
+    `).bind(start, end).all();
+
+    const rows = new Map((result.results || []).map(row => [row.size, row]));
+
+    return PLAYLIST_SIZE_BUCKETS.map(bucket => {
+      const row = rows.get(bucket.label);
+      return {
+        videoCount: bucket.label,
+        playlists: row?.playlists || 0,
+        enhancements: row?.enhancements || 0,
+        avgTokens: row ? Math.round(row.avg_tokens || 0) : 0,
+        avgCost: row?.avg_cost || 0
+      };
+    });
+  }
+
+  /**
+   * Render the report as CSV: one section, or all of them as blocks headed by
+   * the section name and separated by blank lines
+   */
+  static toCsv(report, section = null) {
+    const tables = {
+      topSpenders: report.topSpenders,
+      byTier: report.byTier,
+      byModel: report.byModel,
+      failures: [
+        ...report.failures.byType.map(row => ({ level: 'enhancement', ...row })),
+        ...report.failures.byModel.map(row => ({ level: 'call', ...row }))
+      ],
+      byPlaylistSize: report.byPlaylistSize
+    };
+
+    if (section) {
+      return toCsvTable(tables[section]);
+    }
+
+    return COST_REPORT_SECTIONS
+      .map(name => `${name}\n${toCsvTable(tables[name])}`)
+      .join('\n');
+  }
+}
+
+function toCsvTable(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  // Text starting like a formula is prefixed so spreadsheets do not evaluate it
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
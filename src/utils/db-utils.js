@@ -70,6 +70,38 @@ const UserDB = {
   }
 };
 
+/**
+ * Build WHERE clauses for playlist category filters
+ * (category, subject, level, format, tag)
+ */
+function buildCategoryFilters(filters = {}) {
+  const clauses = [];
+  const values = [];
+
+  if (filters.category) {
+    clauses.push('primary_category = ?');
+    values.push(filters.category);
+  }
+  if (filters.subject) {
+    clauses.push('subject_discipline = ?');
+    values.push(filters.subject);
+  }
+  if (filters.level) {
+    clauses.push('educational_level = ?');
+    values.push(filters.level);
+  }
+  if (filters.format) {
+    clauses.push('instructional_type = ?');
+    values.push(filters.format);
+  }
+  if (filters.tag) {
+    clauses.push(`EXISTS (SELECT 1 FROM json_each(playlists.categories, '$.tags') WHERE value = ?)`);
+    values.push(filters.tag);
+  }
+
+  return { clauses, values };
+}
+
 /**
  * Playlist database operations
  */
@@ -97,14 +129,17 @@ const PlaylistDB = {
     }
   },
 
-  async findByUserId(db, userId, limit = 50, offset = 0) {
+  async findByUserId(db, userId, limit = 50, offset = 0, filters = {}) {
+    const { clauses, values } = buildCategoryFilters(filters);
+    const where = ['user_id = ?', ...clauses].join(' AND ');
+
     try {
       const result = await db.prepare(`
         SELECT * FROM playlists 
-        WHERE user_id = ? 
+        WHERE ${where} 
         ORDER BY created_at DESC 
         LIMIT ? OFFSET ?
-      `).bind(userId, limit, offset).all();
+      `).bind(userId, ...values, limit, offset).all();
       
       return { success: true, results: result.results || [] };
     } catch (error) {
@@ -113,6 +148,35 @@ const PlaylistDB = {
     }
   },
 
+  async search(db, userId, query, { limit = 20, filters = {} } = {}) {
+    const { clauses, values } = buildCategoryFilters(filters);
+    const conditions = ['user_id = ?', ...clauses];
+    const params = [userId, ...values];
+    let ranking = 'created_at DESC';
+
+    if (query) {
+      const pattern = `%${query}%`;
+      conditions.push('(title LIKE ? OR original_description LIKE ? OR ai_description LIKE ?)');
+      params.push(pattern, pattern, pattern);
+      ranking = `CASE WHEN title LIKE ? THEN 1 WHEN original_description LIKE ? THEN 2 ELSE 3 END, created_at DESC`;
+      params.push(pattern, pattern);
+    }
+
+    try {
+      const result = await db.prepare(`
+        SELECT * FROM playlists 
+        WHERE ${conditions.join(' AND ')} 
+        ORDER BY ${ranking} 
+        LIMIT ?
+      `).bind(...params, limit).all();
+
+      return { success: true, results: result.results || [] };
+    } catch (error) {
+      console.error('PlaylistDB.search error:', error);
+      return { success: false, results: [], error: error.message };
+    }
+  },
+
   async findById(db, id) {
     try {
       const result = await db.prepare('SELECT * FROM playlists WHERE id = ?')
@@ -191,6 +255,42 @@ const PlaylistDB = {
     }
   },
 
+  async setEnhancementStatus(db, id, status) {
+    try {
+      const result = await db.prepare(`
+        UPDATE playlists
+        SET enhancement_status = ?, updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(status, id).run();
+
+      return { success: result.success || true };
+    } catch (error) {
+      console.error('PlaylistDB.setEnhancementStatus error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async setCategories(db, id, categories) {
+    try {
+      const result = await db.prepare(`
+        UPDATE playlists
+        SET primary_category = ?, subject_discipline = ?, educational_level = ?,
+            instructional_type = ?, categories = ?,
+            categorized_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(
+        categories.primaryCategory, categories.subjectDiscipline,
+        categories.educationalLevel, categories.instructionalType,
+        JSON.stringify(categories), id
+      ).run();
+
+      return { success: result.success || true };
+    } catch (error) {
+      console.error('PlaylistDB.setCategories error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   async getStats(db, userId) {
     try {
       const result = await db.prepare(`
@@ -221,6 +321,199 @@ const PlaylistDB = {
   }
 };
 
+/**
+ * Playlist learning objective operations
+ */
+const LearningObjectiveDB = {
+  async findByPlaylistId(db, playlistId) {
+    try {
+      const result = await db.prepare(`
+        SELECT * FROM playlist_learning_objectives
+        WHERE playlist_id = ?
+        ORDER BY position ASC
+      `).bind(playlistId).all();
+
+      return result.results || [];
+    } catch (error) {
+      console.error('LearningObjectiveDB.findByPlaylistId error:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Replace a playlist's objectives with the given ordered list in one batch.
+   * Items: { id?, objective, videoIds, source, enhancementId }
+   */
+  async replaceForPlaylist(db, playlistId, userId, objectives) {
+    try {
+      const statements = [
+        db.prepare('DELETE FROM playlist_learning_objectives WHERE playlist_id = ?').bind(playlistId)
+      ];
+
+      objectives.forEach((item, index) => {
+        statements.push(db.prepare(`
+          INSERT INTO playlist_learning_objectives
+          (id, playlist_id, user_id, position, objective, video_ids, source, enhancement_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          item.id || crypto.randomUUID(), playlistId, userId, index, item.objective,
+          JSON.stringify(item.videoIds || []), item.source || 'user', item.enhancementId || null
+        ));
+      });
+
+      await db.batch(statements);
+      return { success: true };
+    } catch (error) {
+      console.error('LearningObjectiveDB.replaceForPlaylist error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+/**
+ * AI video summary operations, keyed by YouTube video id
+ */
+const VideoSummaryDB = {
+  /**
+   * Summaries for a list of YouTube video ids, as a Map keyed by video id
+   */
+  async findByVideoIds(db, youtubeVideoIds) {
+    const summaries = new Map();
+    const ids = [...new Set(youtubeVideoIds)];
+
+    try {
+      // D1 caps bound parameters per statement, so look ids up in chunks
+      for (let i = 0; i < ids.length; i += 50) {
+        const chunk = ids.slice(i, i + 50);
+        const result = await db.prepare(`
+          SELECT * FROM video_summaries
+          WHERE youtube_video_id IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+
+        for (const row of result.results || []) {
+          summaries.set(row.youtube_video_id, row);
+        }
+      }
+    } catch (error) {
+      console.error('VideoSummaryDB.findByVideoIds error:', error);
+    }
+
+    return summaries;
+  },
+
+  /**
+   * Insert or replace summaries in one batch.
+   * Items: { youtubeVideoId, summary, keyPoints, model, tokensUsed, cost, enhancementId }
+   */
+  async upsertMany(db, summaries) {
+    try {
+      await db.batch(summaries.map(item => db.prepare(`
+        INSERT INTO video_summaries
+        (id, youtube_video_id, summary, key_points, ai_model, tokens_used, cost_usd, enhancement_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(youtube_video_id) DO UPDATE SET
+          summary = excluded.summary,
+          key_points = excluded.key_points,
+          ai_model = excluded.ai_model,
+          tokens_used = excluded.tokens_used,
+          cost_usd = excluded.cost_usd,
+          enhancement_id = excluded.enhancement_id,
+          updated_at = strftime('%s', 'now')
+      `).bind(
+        crypto.randomUUID(), item.youtubeVideoId, item.summary, JSON.stringify(item.keyPoints || []),
+        item.model || null, item.tokensUsed || 0, item.cost || 0, item.enhancementId || null
+      )));
+      return { success: true };
+    } catch (error) {
+      console.error('VideoSummaryDB.upsertMany error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+/**
+ * Playlist description translations, one per language
+ */
+const PlaylistTranslationDB = {
+  async findByPlaylistId(db, playlistId) {
+    try {
+      const result = await db.prepare(`
+        SELECT * FROM playlist_translations
+        WHERE playlist_id = ?
+        ORDER BY language ASC
+      `).bind(playlistId).all();
+
+      return result.results || [];
+    } catch (error) {
+      console.error('PlaylistTranslationDB.findByPlaylistId error:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Insert or replace a translation.
+   * Item: { language, description, sourceDescription, sourceLanguage, model, tokensUsed, cost, enhancementId }
+   */
+  async upsert(db, playlistId, item) {
+    try {
+      await db.prepare(`
+        INSERT INTO playlist_translations
+        (id, playlist_id, language, description, source_description, source_language,
+         ai_model, tokens_used, cost_usd, enhancement_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(playlist_id, language) DO UPDATE SET
+          description = excluded.description,
+          source_description = excluded.source_description,
+          source_language = excluded.source_language,
+          ai_model = excluded.ai_model,
+          tokens_used = excluded.tokens_used,
+          cost_usd = excluded.cost_usd,
+          enhancement_id = excluded.enhancement_id,
+          updated_at = strftime('%s', 'now')
+      `).bind(
+        crypto.randomUUID(), playlistId, item.language, item.description, item.sourceDescription,
+        item.sourceLanguage || 'en', item.model || null, item.tokensUsed || 0, item.cost || 0, item.enhancementId || null
+      ).run();
+      return { success: true };
+    } catch (error) {
+      console.error('PlaylistTranslationDB.upsert error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+/**
+ * AI usage ledger operations (one row per provider call)
+ */
+const AIUsageLedgerDB = {
+  /**
+   * Record a call. Entry: { userId, playlistId, feature, provider, model,
+   * promptTokens, completionTokens, cost, outcome, errorMessage, durationMs,
+   * attempts, estimated }
+   */
+  async record(db, entry) {
+    try {
+      await db.prepare(`
+        INSERT INTO ai_usage_ledger
+        (id, user_id, playlist_id, feature, provider, model, prompt_tokens, completion_tokens,
+         total_tokens, cost_usd, outcome, error_message, duration_ms, attempts, tokens_estimated)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        crypto.randomUUID(), entry.userId || null, entry.playlistId || null,
+        entry.feature || 'unknown', entry.provider, entry.model,
+        entry.promptTokens || 0, entry.completionTokens || 0,
+        (entry.promptTokens || 0) + (entry.completionTokens || 0), entry.cost || 0,
+        entry.outcome, entry.errorMessage || null, entry.durationMs ?? null,
+        entry.attempts ?? 1, entry.estimated ? 1 : 0
+      ).run();
+      return { success: true };
+    } catch (error) {
+      console.error('AIUsageLedgerDB.record error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
 /**
  * GDPR consent operations
  */
@@ -307,6 +600,10 @@ function handleDBError(error, operation) {
 export {
   UserDB,
   PlaylistDB,
+  LearningObjectiveDB,
+  VideoSummaryDB,
+  PlaylistTranslationDB,
+  AIUsageLedgerDB,
   GDPRConsentDB,
   checkDatabaseHealth,
   handleDBError
@@ -0,0 +1,1807 @@
+// src/utils/enhancement-service.js - Shared AI enhancement pipeline used by HTTP handlers and the queue consumer
+
+import { PlaylistDB, LearningObjectiveDB, VideoSummaryDB, PlaylistTranslationDB } from './db-utils.js';
+import { OpenAIClient, ContentPreparation } from './openai-client.js';
+import { PromptTemplates, PromptOptimizer, BUILTIN_PROMPT_TEMPLATES, LANGUAGE_NAMES } from './prompt-templates.js';
+import { PromptRegistry } from './prompt-registry.js';
+import { AIProcessingQueue } from './ai-queue.js';
+import { MODEL_PRICING, isProviderConfigured, parseModelPreference } from './ai-providers.js';
+import { ContentAnalysisEngine } from './content-analysis.js';
+import { QualityEvaluator } from './quality-evaluator.js';
+import { PromptSafety } from './prompt-safety.js';
+import { VideoSampler } from './video-sampler.js';
+
+/**
+ * Default AI preferences used when a user has no saved row yet
+ */
+export const DEFAULT_AI_PREFERENCES = {
+  enhancement_style: 'educational',
+  auto_enhance: 0,
+  max_monthly_cost: 10.0,
+  preferred_ai_model: 'gpt-4o-mini',
+  language_preference: 'en',
+  content_level: 'intermediate',
+  include_keywords: 1,
+  include_learning_objectives: 1,
+  include_difficulty_assessment: 0,
+  budget_action: 'block'
+};
+
+/**
+ * What to do when a request would exceed max_monthly_cost: refuse it, or retry
+ * the estimate with cheaper models
+ */
+export const BUDGET_ACTIONS = ['block', 'downgrade'];
+
+/**
+ * Enhancement types that change a playlist field and can be reverted
+ */
+export const REVERTIBLE_ENHANCEMENT_TYPES = ['description', 'title'];
+
+/**
+ * Description styles understood by PromptTemplates. 'auto' is resolved per
+ * user from their enhancement ratings.
+ */
+export const ENHANCEMENT_STYLES = ['educational', 'concise', 'detailed', 'creative', 'professional'];
+
+/**
+ * Limits for generating several description candidates in one request
+ */
+export const VARIANT_LIMITS = { min: 2, max: 4, minTemperature: 0, maxTemperature: 1.5 };
+
+// Temperatures used when variants differ by temperature rather than style
+const VARIANT_TEMPERATURES = [0.4, 0.7, 1.0, 1.2];
+
+// Minimum ratings a style/model combination needs before 'auto' will pick it
+const AUTO_STYLE_MIN_RATINGS = 2;
+
+// Allowance for the system prompt, which is not part of the estimated user prompt
+const SYSTEM_PROMPT_TOKEN_ALLOWANCE = 400;
+
+// Output token limits the client uses per request type, for cost estimates
+const DESCRIPTION_MAX_OUTPUT_TOKENS = 1000;
+const TITLE_MAX_OUTPUT_TOKENS = 300;
+const CATEGORIZATION_MAX_OUTPUT_TOKENS = 500;
+const ANALYSIS_MAX_OUTPUT_TOKENS = 800;
+const OBJECTIVES_MAX_OUTPUT_TOKENS = 600;
+const BATCH_MAX_OUTPUT_TOKENS_PER_PLAYLIST = 350;
+const VIDEO_SUMMARY_MAX_OUTPUT_TOKENS_PER_VIDEO = 150;
+const TRANSLATION_MAX_OUTPUT_TOKENS = 1000;
+
+// Videos summarized per AI request, and per summarization run
+const VIDEO_SUMMARY_BATCH_SIZE = 10;
+const VIDEO_SUMMARY_MAX_PER_RUN = 50;
+
+/**
+ * Languages a description can be translated into in one request
+ */
+export const TRANSLATION_MAX_LANGUAGES = 5;
+
+// Limits for grouping playlists into a single batch request
+const BATCH_MAX_PROMPT_TOKENS = 3000;
+const BATCH_MAX_PLAYLISTS_PER_REQUEST = 8;
+const BATCH_DESCRIPTION_MAX_LENGTH = 1000;
+
+// Requested description length in characters
+const DESCRIPTION_MAX_LENGTH = 500;
+
+// Prompt tokens for the video list; larger playlists are sampled (see VideoSampler)
+const PROMPT_VIDEO_TOKEN_BUDGET = 500;
+
+/**
+ * Days covered by the usage series by default, and at most
+ */
+export const USAGE_SERIES_DAYS = { default: 30, max: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults for AI_QUALITY_THRESHOLD and AI_QUALITY_MAX_RETRIES
+const DEFAULT_QUALITY_THRESHOLD = 0.6;
+const DEFAULT_QUALITY_MAX_RETRIES = 1;
+
+/**
+ * Runs AI enhancements against a playlist and records them in enhancement_history
+ */
+export class EnhancementService {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+    this.prompts = new PromptRegistry(this.db);
+  }
+
+  /**
+   * Whether the environment's default AI provider is configured
+   */
+  isConfigured() {
+    return isProviderConfigured(this.env);
+  }
+
+  /**
+   * Create an AI client for a model preference, checking that its provider
+   * has credentials in this environment. Clients given `usage` ({ userId,
+   * playlistId, feature }) record their calls in the AI usage ledger.
+   */
+  createClient(modelPreference, usage = null) {
+    const defaultProvider = this.env.AI_PROVIDER || 'openai';
+    const { provider } = parseModelPreference(modelPreference, defaultProvider);
+
+    if (defaultProvider !== 'fixture' && !isProviderConfigured(this.env, provider)) {
+      throw new Error(`AI provider '${provider}' is not configured`);
+    }
+
+    return OpenAIClient.fromEnv(this.env, modelPreference, usage);
+  }
+
+  /**
+   * Load user AI preferences, creating the default row if missing
+   */
+  async getPreferences(userId) {
+    const preferences = await this.db.prepare(`
+      SELECT * FROM user_ai_preferences WHERE user_id = ?
+    `).bind(userId).first();
+
+    if (preferences) {
+      return preferences;
+    }
+
+    await this.db.prepare(`
+      INSERT INTO user_ai_preferences (id, user_id) VALUES (?, ?)
+    `).bind(crypto.randomUUID(), userId).run();
+
+    return { user_id: userId, ...DEFAULT_AI_PREFERENCES };
+  }
+
+  /**
+   * Resolve the style and model to use for a description enhancement.
+   * For the 'auto' style, picks the user's best-rated style/model combination.
+   */
+  async resolveStyleAndModel(userId, preferences) {
+    const preferredModel = preferences.preferred_ai_model || 'gpt-4o-mini';
+
+    if (preferences.enhancement_style !== 'auto') {
+      return {
+        style: preferences.enhancement_style || 'educational',
+        model: preferredModel,
+        auto: false
+      };
+    }
+
+    const best = await this.db.prepare(`
+      SELECT enhancement_style, ai_model, AVG(user_rating) as avg_rating, COUNT(*) as ratings
+      FROM enhancement_history
+      WHERE user_id = ? AND enhancement_type = 'description'
+      AND user_rating IS NOT NULL AND enhancement_style IS NOT NULL
+      GROUP BY enhancement_style, ai_model
+      HAVING COUNT(*) >= ?
+      ORDER BY avg_rating DESC, ratings DESC
+      LIMIT 1
+    `).bind(userId, AUTO_STYLE_MIN_RATINGS).first();
+
+    if (!best) {
+      return { style: 'educational', model: preferredModel, auto: true };
+    }
+
+    return {
+      style: best.enhancement_style,
+      model: best.ai_model || preferredModel,
+      auto: true,
+      averageRating: best.avg_rating
+    };
+  }
+
+  /**
+   * Sum the user's AI spend since the start of the current month (UTC).
+   * ai_usage_tracking (rolled up from the usage ledger) holds every call made,
+   * including failed ones and re-asks; the cost reserved by in-flight
+   * enhancements is added to it. enhancement_history is checked too, for
+   * spend from before the ledger existed, and the larger total wins.
+   */
+  async getMonthToDateSpend(userId) {
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const monthStartSeconds = Math.floor(monthStart.getTime() / 1000);
+
+    const totals = await this.db.prepare(`
+      SELECT
+        (SELECT COALESCE(SUM(cost_usd), 0) FROM ai_usage_tracking
+         WHERE user_id = ? AND date >= ?) as tracked,
+        (SELECT COALESCE(SUM(cost_usd), 0) FROM enhancement_history
+         WHERE user_id = ? AND created_at >= ? AND status = 'processing') as reserved,
+        (SELECT COALESCE(SUM(cost_usd), 0) FROM enhancement_history
+         WHERE user_id = ? AND created_at >= ?) as recorded
+    `).bind(
+      userId, monthStart.toISOString().split('T')[0],
+      userId, monthStartSeconds,
+      userId, monthStartSeconds
+    ).first();
+
+    return Math.max((totals?.tracked || 0) + (totals?.reserved || 0), totals?.recorded || 0);
+  }
+
+  /**
+   * Project the user's month-end spend (UTC) from the month-to-date daily
+   * rate, against max_monthly_cost. The first day counts as a full day so a
+   * few early requests are not extrapolated over the whole month.
+   * limitReachedOn is the date the limit is (or was) reached at this rate.
+   */
+  async projectMonthlySpend(userId, preferences) {
+    const now = new Date();
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+
+    const spent = await this.getMonthToDateSpend(userId);
+    const daysElapsed = Math.max((now.getTime() - monthStart) / DAY_MS, 1);
+    const daysInMonth = (monthEnd - monthStart) / DAY_MS;
+    const dailyRate = spent / daysElapsed;
+    const projected = dailyRate * daysInMonth;
+    const limit = preferences.max_monthly_cost ?? null;
+
+    let limitReachedOn = null;
+    if (limit !== null && dailyRate > 0 && projected > limit) {
+      limitReachedOn = new Date(monthStart + (limit / dailyRate) * DAY_MS).toISOString().split('T')[0];
+    }
+
+    return {
+      monthToDate: spent,
+      dailyRate,
+      projectedMonthEnd: projected,
+      monthlyLimit: limit,
+      projectedOverLimit: limit === null ? false : projected > limit,
+      limitReachedOn,
+      daysElapsed: Math.floor(daysElapsed),
+      daysInMonth
+    };
+  }
+
+  /**
+   * Daily AI usage over the last `days` days (UTC), oldest first and with
+   * empty days filled in: totals per day, per day/model/enhancement type, and
+   * per model and type over the whole range. Daily and per-model figures come
+   * from ai_usage_tracking; it has no enhancement type, so the rest comes from
+   * the usage ledger it is rolled up from. Both count provider calls, cached
+   * responses excluded. avgCostPerEnhancement spreads the cost of failed calls
+   * over the successful ones.
+   */
+  async getUsageSeries(userId, days = USAGE_SERIES_DAYS.default) {
+    const today = new Date();
+    const firstDay = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - (days - 1) * DAY_MS;
+    const dates = Array.from({ length: days }, (_, index) =>
+      new Date(firstDay + index * DAY_MS).toISOString().split('T')[0]
+    );
+
+    const tracked = await this.db.prepare(`
+      SELECT
+        date,
+        model_name as model,
+        requests_count as requests,
+        success_count,
+        error_count,
+        tokens_used,
+        cost_usd as cost
+      FROM ai_usage_tracking
+      WHERE user_id = ? AND date >= ?
+      ORDER BY date, model_name
+    `).bind(userId, dates[0]).all();
+
+    const ledger = await this.db.prepare(`
+      SELECT
+        DATE(created_at, 'unixepoch') as date,
+        model,
+        feature,
+        COUNT(*) as requests,
+        SUM(CASE WHEN outcome = 'success' THEN 1 ELSE 0 END) as success_count,
+        SUM(CASE WHEN outcome = 'error' THEN 1 ELSE 0 END) as error_count,
+        COALESCE(SUM(total_tokens), 0) as tokens_used,
+        COALESCE(SUM(cost_usd), 0) as cost
+      FROM ai_usage_ledger
+      WHERE user_id = ? AND created_at >= ? AND outcome != 'cached'
+      GROUP BY date, model, feature
+      ORDER BY date, model, feature
+    `).bind(userId, Math.floor(firstDay / 1000)).all();
+
+    const trackedRows = tracked.results || [];
+    const ledgerRows = ledger.results || [];
+
+    const breakdown = ledgerRows.map(row => ({
+      date: row.date,
+      model: row.model,
+      enhancementType: row.feature,
+      ...usageTotals([row])
+    }));
+
+    const groupBy = (rows, key) => {
+      const groups = new Map();
+      for (const row of rows) {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+      }
+      return groups;
+    };
+    const byDate = groupBy(trackedRows, 'date');
+
+    return {
+      from: dates[0],
+      to: dates[dates.length - 1],
+      daily: dates.map(date => ({ date, ...usageTotals(byDate.get(date) || []) })),
+      breakdown,
+      byModel: [...groupBy(trackedRows, 'model')].map(([model, group]) => ({ model, ...usageTotals(group) }))
+        .sort((a, b) => b.cost - a.cost),
+      byType: [...groupBy(ledgerRows, 'feature')].map(([enhancementType, group]) => ({ enhancementType, ...usageTotals(group) }))
+        .sort((a, b) => b.cost - a.cost),
+      totals: usageTotals(trackedRows)
+    };
+  }
+
+  /**
+   * Worst-case cost of a request: the estimated prompt plus the full output allowance
+   */
+  estimateCost(model, prompt, maxOutputTokens) {
+    const inputTokens = PromptOptimizer.estimateTokenCount(prompt) + SYSTEM_PROMPT_TOKEN_ALLOWANCE;
+    const client = this.createClient(model);
+    return client.calculateCost(client.defaultModel, inputTokens, maxOutputTokens);
+  }
+
+  /**
+   * Check a request against the user's max_monthly_cost before it is sent.
+   * Returns the model to use and the estimated cost to reserve. With the
+   * 'downgrade' budget action a cheaper model that fits is chosen instead.
+   * `count` covers several requests of the same size (e.g. variants).
+   * Throws 'Monthly AI budget exceeded' (with budgetExceeded set) when
+   * nothing fits.
+   */
+  async preflight(userId, preferences, model, prompt, maxOutputTokens, { count = 1 } = {}) {
+    const estimatedCost = this.estimateCost(model, prompt, maxOutputTokens) * count;
+    const budget = preferences.max_monthly_cost;
+
+    if (budget === null || budget === undefined) {
+      return { model, estimatedCost };
+    }
+
+    const spent = await this.getMonthToDateSpend(userId);
+
+    if (spent + estimatedCost <= budget) {
+      return { model, estimatedCost, spent, budget };
+    }
+
+    const defaultProvider = this.env.AI_PROVIDER || 'openai';
+    const { provider } = parseModelPreference(model, defaultProvider);
+
+    // Only downgrade within the same hosted provider; self-hosted models have no price list
+    if (preferences.budget_action === 'downgrade' && provider !== 'openai-compatible') {
+      const cheaper = Object.keys(MODEL_PRICING)
+        .filter(candidate => candidate !== 'fixture' &&
+          parseModelPreference(candidate, defaultProvider).provider === provider)
+        .map(candidate => ({
+          model: candidate,
+          estimatedCost: this.estimateCost(candidate, prompt, maxOutputTokens) * count
+        }))
+        .filter(candidate => candidate.estimatedCost < estimatedCost)
+        .sort((a, b) => b.estimatedCost - a.estimatedCost);
+
+      const fallback = cheaper.find(candidate => spent + candidate.estimatedCost <= budget);
+      if (fallback) {
+        return { ...fallback, spent, budget, downgradedFrom: model };
+      }
+    }
+
+    const error = new Error(
+      `Monthly AI budget exceeded: $${spent.toFixed(2)} of $${Number(budget).toFixed(2)} spent, ` +
+      `request estimated at $${estimatedCost.toFixed(4)}`
+    );
+    error.budgetExceeded = true;
+    throw error;
+  }
+
+  /**
+   * Queue a description enhancement for a newly created or imported playlist
+   * when auto-enhance is on. `override` (from the request) takes precedence over
+   * the user's auto_enhance preference; the outcome is stored in
+   * playlists.auto_enhance_enabled. Best effort: never throws.
+   */
+  async scheduleAutoEnhance(playlist, override = null) {
+    // Stays false if scheduling fails before the setting is resolved
+    let enabled = false;
+
+    try {
+      const preferences = await this.getPreferences(playlist.user_id);
+      enabled = override ?? Boolean(preferences.auto_enhance);
+
+      await this.db.prepare(`
+        UPDATE playlists SET auto_enhance_enabled = ? WHERE id = ?
+      `).bind(enabled ? 1 : 0, playlist.id).run();
+
+      if (!enabled) {
+        return { enabled: false, scheduled: false };
+      }
+
+      if (!this.isConfigured()) {
+        return { enabled: true, scheduled: false, reason: 'AI enhancement not configured' };
+      }
+
+      const queue = new AIProcessingQueue(this.db);
+      const { job } = await queue.enqueue({
+        userId: playlist.user_id,
+        playlistId: playlist.id,
+        enhancementType: 'description',
+        priority: 3,
+        metadata: { trigger: 'auto_enhance' }
+      });
+
+      await PlaylistDB.setEnhancementStatus(this.db, playlist.id, 'pending');
+
+      return { enabled: true, scheduled: true, jobId: job.id, status: 'pending' };
+    } catch (scheduleError) {
+      console.error('Auto-enhance scheduling failed:', scheduleError);
+      return { enabled, scheduled: false, reason: 'Failed to schedule enhancement' };
+    }
+  }
+
+  /**
+   * Get videos used as context for AI prompts. Playlists whose titles do not
+   * fit PROMPT_VIDEO_TOKEN_BUDGET are sampled across their whole length,
+   * covering section starts and the topics found by analyzeTopics.
+   */
+  async getPromptVideos(playlistId) {
+    const result = await this.db.prepare(`
+      SELECT * FROM playlist_videos WHERE playlist_id = ? ORDER BY position
+    `).bind(playlistId).all();
+    const videos = result.results || [];
+
+    if (VideoSampler.fits(videos, { tokenBudget: PROMPT_VIDEO_TOKEN_BUDGET })) {
+      return videos;
+    }
+
+    let topics = [];
+    try {
+      const analysis = await new ContentAnalysisEngine(this.db).analyzeTopics(playlistId, videos);
+      topics = analysis.data?.allTopics || [];
+    } catch (analysisError) {
+      // Sample without topic coverage rather than failing the enhancement
+      console.error('Topic analysis for video sampling failed:', analysisError);
+    }
+
+    return VideoSampler.select(videos, { tokenBudget: PROMPT_VIDEO_TOKEN_BUDGET, topics }).videos;
+  }
+
+  /**
+   * Generate an AI description for a playlist and apply it.
+   * Each output is scored by QualityEvaluator; outputs below AI_QUALITY_THRESHOLD
+   * are regenerated up to AI_QUALITY_MAX_RETRIES times (budget permitting) and
+   * the best one is kept. With `onToken`, the completion is streamed and each
+   * text delta is passed on as it arrives; streamed output is scored but not
+   * retried, since the client has already seen it.
+   * Throws on failure after marking the enhancement record as failed.
+   */
+  async enhanceDescription(playlist, { onToken = null } = {}) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const resolved = await this.resolveStyleAndModel(userId, preferences);
+    const { style } = resolved;
+
+    const videos = await this.getPromptVideos(playlist.id);
+    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos);
+    const template = await this.prompts.getActive('description');
+    const promptOptions = {
+      style,
+      includeKeywords: Boolean(preferences.include_keywords),
+      includeLearningObjectives: Boolean(preferences.include_learning_objectives),
+      maxLength: DESCRIPTION_MAX_LENGTH,
+      contentLevel: preferences.content_level || 'intermediate',
+      userPreferences: { customPromptAdditions: preferences.custom_prompt_additions },
+      template
+    };
+    const request = this.createClient(resolved.model).buildDescriptionRequest(playlistData, promptOptions);
+    const prompt = request.messages[0].content;
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, resolved.model, prompt, DESCRIPTION_MAX_OUTPUT_TOKENS
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'description' });
+    const qualityContext = await this.getQualityContext(playlist, videos, promptOptions);
+    const { threshold, maxRetries } = this.getQualitySettings();
+    const maxAttempts = onToken ? 1 : 1 + maxRetries;
+
+    const enhancementId = await this.startDescriptionRecord(
+      playlist, model, style, estimatedCost, this.scanForInjection(playlist, videos),
+      this.promptRecord(template, request.systemPrompt, prompt)
+    );
+    let metrics = null;
+
+    try {
+      let best = null;
+      const attempts = [];
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (attempt > 1) {
+          // A retry is a new request: it must fit the budget on the same model
+          try {
+            const retryCheck = await this.preflight(
+              userId, preferences, model, prompt, DESCRIPTION_MAX_OUTPUT_TOKENS
+            );
+            if (retryCheck.model !== model) break;
+          } catch (budgetError) {
+            break;
+          }
+        }
+
+        let enhancementResult;
+        try {
+          enhancementResult = onToken
+            ? await aiClient.streamPlaylistDescription(playlistData, promptOptions, onToken)
+            : await aiClient.enhancePlaylistDescription(playlistData, promptOptions);
+
+          if (!enhancementResult.success) {
+            throw new Error('AI enhancement request failed');
+          }
+        } catch (attemptError) {
+          // A failed retry still leaves the earlier output to fall back on
+          if (best) break;
+          throw attemptError;
+        }
+
+        const content = ContentPreparation.sanitizeEnhancedContent(enhancementResult.content);
+        const quality = QualityEvaluator.evaluate(content, qualityContext);
+        metrics = this.addMetrics(metrics, ContentPreparation.extractMetrics(enhancementResult));
+        attempts.push({ attempt, score: quality.score, flags: quality.flags });
+
+        if (!best || quality.score > best.quality.score) {
+          best = { content, quality };
+        }
+
+        if (quality.score >= threshold) break;
+      }
+
+      const quality = { ...best.quality, threshold, attempts };
+      await this.completeDescriptionRecord(playlist, enhancementId, best.content, metrics, quality);
+
+      return {
+        id: enhancementId,
+        originalDescription: playlist.original_description || '',
+        enhancedDescription: best.content,
+        style,
+        model,
+        metrics,
+        quality
+      };
+
+    } catch (aiError) {
+      await this.failDescriptionRecord(playlist.id, enhancementId, aiError, metrics);
+      throw aiError;
+    } finally {
+      await this.recordAttempts(enhancementId, aiClient);
+    }
+  }
+
+  /**
+   * Check the playlist's YouTube text for prompt injection attempts. Returns
+   * record metadata describing the findings, or null when nothing was found.
+   */
+  scanForInjection(playlist, videos = []) {
+    const injection = PromptSafety.scanPlaylist(playlist, videos);
+    if (!injection.suspected) {
+      return null;
+    }
+
+    console.warn(`Suspected prompt injection in playlist ${playlist.id}:`, JSON.stringify(injection.findings));
+    return { injection };
+  }
+
+  /**
+   * Values for a history row's prompt_used, prompt_template_id and
+   * prompt_template_version. `userPrompt` is a list when the enhancement
+   * took several requests.
+   */
+  promptRecord(template, systemPrompt, userPrompt) {
+    return {
+      promptUsed: PromptRegistry.formatPromptUsed(systemPrompt, userPrompt),
+      templateId: template.id,
+      templateVersion: template.version
+    };
+  }
+
+  /**
+   * Inputs for QualityEvaluator: the requested options plus the playlist's top keywords
+   */
+  async getQualityContext(playlist, videos, promptOptions) {
+    let keywords = [];
+    try {
+      const analysis = await new ContentAnalysisEngine(this.db).generateKeywords(playlist.id, videos);
+      keywords = analysis.data?.keywords || [];
+    } catch (analysisError) {
+      console.error('Keyword analysis for quality scoring failed:', analysisError);
+      // Score without keyword coverage rather than failing the enhancement
+    }
+
+    return {
+      maxLength: promptOptions.maxLength,
+      keywords,
+      includeLearningObjectives: promptOptions.includeLearningObjectives,
+      playlistTitle: playlist.title,
+      videos,
+      videoCount: Math.max(playlist.video_count || 0, videos.length)
+    };
+  }
+
+  /**
+   * Quality threshold and retry limit from the environment
+   */
+  getQualitySettings() {
+    const threshold = parseFloat(this.env.AI_QUALITY_THRESHOLD);
+    const maxRetries = parseInt(this.env.AI_QUALITY_MAX_RETRIES);
+
+    return {
+      threshold: Number.isFinite(threshold) ? threshold : DEFAULT_QUALITY_THRESHOLD,
+      maxRetries: Number.isFinite(maxRetries) ? Math.max(0, maxRetries) : DEFAULT_QUALITY_MAX_RETRIES
+    };
+  }
+
+  /**
+   * Sum usage across attempts of one enhancement
+   */
+  addMetrics(total, metrics) {
+    if (!total) {
+      return metrics;
+    }
+
+    return {
+      ...metrics,
+      inputTokens: total.inputTokens + metrics.inputTokens,
+      outputTokens: total.outputTokens + metrics.outputTokens,
+      totalTokens: total.totalTokens + metrics.totalTokens,
+      cost: total.cost + metrics.cost,
+      processingTime: total.processingTime + metrics.processingTime
+    };
+  }
+
+  /**
+   * Work out the style and temperature of each variant. Explicit variants win;
+   * otherwise `count` variants differ by style (starting with the resolved
+   * style) or by temperature.
+   */
+  planVariants(baseStyle, { count = VARIANT_LIMITS.min, vary = 'style', variants = null } = {}) {
+    if (variants) {
+      return variants.map(variant => ({
+        style: variant.style || baseStyle,
+        temperature: variant.temperature ?? 0.7
+      }));
+    }
+
+    if (vary === 'temperature') {
+      return VARIANT_TEMPERATURES.slice(0, count).map(temperature => ({ style: baseStyle, temperature }));
+    }
+
+    const styles = [baseStyle, ...ENHANCEMENT_STYLES.filter(style => style !== baseStyle)];
+    return styles.slice(0, count).map(style => ({ style, temperature: 0.7 }));
+  }
+
+  /**
+   * Generate several description candidates under one enhancement, each with
+   * its own style and temperature. The enhancement stays 'pending' until one
+   * is chosen with selectCandidate(); nothing is applied to the playlist yet.
+   */
+  async generateDescriptionVariants(playlist, plan) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const resolved = await this.resolveStyleAndModel(userId, preferences);
+
+    const videos = await this.getPromptVideos(playlist.id);
+    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos);
+    const template = await this.prompts.getActive('description');
+    const baseOptions = {
+      includeKeywords: Boolean(preferences.include_keywords),
+      includeLearningObjectives: Boolean(preferences.include_learning_objectives),
+      maxLength: DESCRIPTION_MAX_LENGTH,
+      contentLevel: preferences.content_level || 'intermediate',
+      userPreferences: { customPromptAdditions: preferences.custom_prompt_additions },
+      template
+    };
+    const variants = this.planVariants(resolved.style, plan);
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, resolved.model,
+      this.createClient(resolved.model).buildDescriptionPrompt(playlistData, { ...baseOptions, style: variants[0].style }),
+      DESCRIPTION_MAX_OUTPUT_TOKENS,
+      { count: variants.length }
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'description_variants' });
+    const qualityContext = await this.getQualityContext(playlist, videos, baseOptions);
+    const enhancementId = crypto.randomUUID();
+    const metadata = {
+      variants: variants.length,
+      ...this.scanForInjection(playlist, videos)
+    };
+
+    // prompt_used is filled from the winning candidate when one is selected
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, previous_content,
+       status, ai_model, cost_usd, metadata, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'description', ?, ?, 'processing', ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId,
+      playlist.original_description || '', playlist.ai_description || '',
+      model, estimatedCost, JSON.stringify(metadata), template.id, template.version
+    ).run();
+
+    const candidates = await Promise.all(variants.map(async (variant, index) => {
+      const candidate = {
+        id: crypto.randomUUID(),
+        position: index,
+        style: variant.style,
+        temperature: variant.temperature,
+        content: null,
+        metrics: null,
+        quality: null,
+        status: 'generated',
+        error: null
+      };
+
+      const variantOptions = {
+        ...baseOptions,
+        style: variant.style,
+        systemPrompt: PromptTemplates.getSystemPrompt(variant.style, {
+          includeKeywords: baseOptions.includeKeywords,
+          includeLearningObjectives: baseOptions.includeLearningObjectives
+        }),
+        temperature: variant.temperature
+      };
+      const request = aiClient.buildDescriptionRequest(playlistData, variantOptions);
+      candidate.promptUsed = PromptRegistry.formatPromptUsed(request.systemPrompt, request.messages[0].content);
+
+      try {
+        const result = await aiClient.enhancePlaylistDescription(playlistData, variantOptions);
+
+        if (!result.success) {
+          throw new Error('AI enhancement request failed');
+        }
+
+        candidate.metrics = ContentPreparation.extractMetrics(result);
+        candidate.content = ContentPreparation.sanitizeEnhancedContent(result.content);
+        candidate.quality = QualityEvaluator.evaluate(candidate.content, qualityContext);
+      } catch (variantError) {
+        candidate.status = 'failed';
+        candidate.error = variantError.message;
+      }
+
+      await this.db.prepare(`
+        INSERT INTO enhancement_candidates
+        (id, enhancement_id, playlist_id, user_id, position, style, temperature, content,
+         ai_model, tokens_used, cost_usd, processing_time_ms, quality_score, status, error_message, prompt_used)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        candidate.id, enhancementId, playlist.id, userId, index, variant.style, variant.temperature,
+        candidate.content, model, candidate.metrics?.totalTokens || 0, candidate.metrics?.cost || 0,
+        candidate.metrics?.processingTime || null, candidate.quality?.score ?? null,
+        candidate.status, candidate.error, candidate.promptUsed
+      ).run();
+
+      return candidate;
+    }));
+    await this.recordAttempts(enhancementId, aiClient);
+
+    const metrics = candidates
+      .filter(candidate => candidate.metrics)
+      .reduce((total, candidate) => this.addMetrics(total, candidate.metrics), null)
+      || { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, processingTime: 0, model };
+    const generated = candidates.filter(candidate => candidate.status === 'generated');
+
+    if (generated.length === 0) {
+      const error = new Error(`All description variants failed: ${candidates[0].error}`);
+      await this.failRecord(enhancementId, error, metrics);
+      throw error;
+    }
+
+    // Stays 'pending' until the user selects a candidate
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET tokens_used = ?, cost_usd = ?, processing_time_ms = ?, status = 'pending'
+      WHERE id = ?
+    `).bind(metrics.totalTokens, metrics.cost, metrics.processingTime, enhancementId).run();
+
+    return { id: enhancementId, model, candidates, metrics };
+  }
+
+  /**
+   * Apply the chosen candidate of a pending variants enhancement and record
+   * which candidate won
+   */
+  async selectCandidate(playlist, enhancement, candidate) {
+    await PlaylistDB.update(this.db, playlist.id, {
+      aiDescription: candidate.content,
+      enhanced: true
+    });
+
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET enhanced_content = ?, previous_content = ?, enhancement_style = ?, quality_score = ?,
+          prompt_used = ?, metadata = json_set(COALESCE(metadata, '{}'), '$.selectedCandidateId', ?),
+          status = 'completed', completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      candidate.content, playlist.ai_description || '', candidate.style,
+      candidate.quality_score, candidate.prompt_used, candidate.id, enhancement.id
+    ).run();
+
+    await this.db.prepare(`
+      UPDATE enhancement_candidates
+      SET status = CASE WHEN id = ? THEN 'selected' ELSE 'rejected' END,
+          selected_at = CASE WHEN id = ? THEN strftime('%s', 'now') ELSE NULL END
+      WHERE enhancement_id = ? AND status != 'failed'
+    `).bind(candidate.id, candidate.id, enhancement.id).run();
+
+    await this.trackEnhancementEvent(playlist.id, enhancement.id, {
+      totalTokens: enhancement.tokens_used,
+      cost: enhancement.cost_usd
+    });
+
+    return { enhancedDescription: candidate.content, style: candidate.style };
+  }
+
+  /**
+   * Generate descriptions for several playlists of one user, grouping them into
+   * token-bounded requests. Per-playlist failures are reported, not thrown.
+   */
+  async enhanceDescriptionBatch(playlists, options = {}) {
+    const {
+      maxPromptTokens = BATCH_MAX_PROMPT_TOKENS,
+      maxBatchSize = BATCH_MAX_PLAYLISTS_PER_REQUEST
+    } = options;
+
+    if (playlists.length === 0) {
+      return [];
+    }
+
+    const userId = playlists[0].user_id;
+    const preferences = await this.getPreferences(userId);
+    const { style, model } = await this.resolveStyleAndModel(userId, preferences);
+
+    const playlistsById = new Map(playlists.map(playlist => [playlist.id, playlist]));
+    const playlistsData = playlists.map(playlist => {
+      const data = ContentPreparation.preparePlaylistData(playlist);
+      data.originalDescription = data.originalDescription.substring(0, BATCH_DESCRIPTION_MAX_LENGTH);
+      return data;
+    });
+
+    const template = await this.prompts.getActive('description_batch');
+    const results = [];
+    for (const batch of this.groupIntoBatches(playlistsData, maxPromptTokens, maxBatchSize, template)) {
+      results.push(...await this.runDescriptionBatch(batch, playlistsById, { style, model, preferences, template }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Greedily group prepared playlist data so each batch prompt stays within the
+   * token and size limits. An oversized playlist gets a batch of its own.
+   */
+  groupIntoBatches(playlistsData, maxPromptTokens, maxBatchSize, template = BUILTIN_PROMPT_TEMPLATES.description_batch) {
+    const batches = [];
+    let current = [];
+
+    for (const data of playlistsData) {
+      const candidate = [...current, data];
+      const tokens = PromptOptimizer.estimateTokenCount(
+        PromptTemplates.getBatchProcessingPrompt(candidate, 'description', template)
+      );
+
+      if (current.length > 0 && (candidate.length > maxBatchSize || tokens > maxPromptTokens)) {
+        batches.push(current);
+        current = [data];
+      } else {
+        current = candidate;
+      }
+    }
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Run one batch request and record one enhancement per playlist. Usage is
+   * split across playlists in proportion to their estimated prompt and output tokens.
+   */
+  async runDescriptionBatch(batch, playlistsById, { style, model: preferredModel, preferences, template }) {
+    const userId = playlistsById.get(batch[0].id).user_id;
+    const prompt = PromptTemplates.getBatchProcessingPrompt(batch, 'description', template);
+
+    let model, estimatedCost;
+    try {
+      ({ model, estimatedCost } = await this.preflight(
+        userId, preferences, preferredModel, prompt,
+        BATCH_MAX_OUTPUT_TOKENS_PER_PLAYLIST * batch.length
+      ));
+    } catch (budgetError) {
+      return batch.map(data => ({ playlistId: data.id, success: false, error: budgetError.message }));
+    }
+
+    const aiClient = this.createClient(model, { userId, playlistId: null, feature: 'description_batch' });
+    // Every playlist in the batch records the shared request's prompt
+    const promptRecord = this.promptRecord(template, aiClient.getBatchSystemPrompt(style, template), prompt);
+    const enhancementIds = {};
+    for (const data of batch) {
+      const playlist = playlistsById.get(data.id);
+      enhancementIds[data.id] = await this.startDescriptionRecord(
+        playlist, model, style, estimatedCost / batch.length, this.scanForInjection(playlist), promptRecord
+      );
+    }
+
+    let response;
+    try {
+      response = await aiClient.enhancePlaylistBatch(batch, {
+        style,
+        maxTokensPerPlaylist: BATCH_MAX_OUTPUT_TOKENS_PER_PLAYLIST,
+        template
+      });
+    } catch (aiError) {
+      await this.recordAttempts(Object.values(enhancementIds), aiClient);
+      // Usage of a response that failed validation is shared evenly
+      const failedMetrics = aiError.usage ? {
+        totalTokens: Math.round(aiError.usage.totalTokens / batch.length),
+        cost: aiError.usage.cost / batch.length
+      } : null;
+      const failures = [];
+      for (const data of batch) {
+        await this.failDescriptionRecord(data.id, enhancementIds[data.id], aiError, failedMetrics);
+        failures.push({
+          playlistId: data.id,
+          success: false,
+          enhancementId: enhancementIds[data.id],
+          error: aiError.message
+        });
+      }
+      return failures;
+    }
+
+    await this.recordAttempts(Object.values(enhancementIds), aiClient);
+    const metrics = ContentPreparation.extractMetrics(response);
+    const outputs = batch.map(data => response.items[data.id]?.enhancedDescription || '');
+    const weights = batch.map((data, index) =>
+      PromptOptimizer.estimateTokenCount(PromptTemplates.getBatchProcessingPrompt([data], 'description', template)) +
+      PromptOptimizer.estimateTokenCount(outputs[index])
+    );
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+    const results = [];
+    for (const [index, data] of batch.entries()) {
+      const playlist = playlistsById.get(data.id);
+      const enhancementId = enhancementIds[data.id];
+      const share = weights[index] / totalWeight;
+      const shareMetrics = {
+        ...metrics,
+        inputTokens: Math.round(metrics.inputTokens * share),
+        outputTokens: Math.round(metrics.outputTokens * share),
+        totalTokens: Math.round(metrics.totalTokens * share),
+        cost: metrics.cost * share
+      };
+
+      try {
+        if (!outputs[index]) {
+          throw new Error('No result returned for playlist');
+        }
+
+        const enhancedContent = ContentPreparation.sanitizeEnhancedContent(outputs[index]);
+        const quality = QualityEvaluator.evaluate(enhancedContent, {
+          maxLength: DESCRIPTION_MAX_LENGTH,
+          playlistTitle: playlist.title
+        });
+        await this.completeDescriptionRecord(playlist, enhancementId, enhancedContent, shareMetrics, quality);
+
+        results.push({
+          playlistId: data.id,
+          success: true,
+          enhancementId,
+          enhancedDescription: enhancedContent,
+          metrics: shareMetrics,
+          quality
+        });
+      } catch (itemError) {
+        await this.failDescriptionRecord(data.id, enhancementId, itemError, shareMetrics);
+        results.push({
+          playlistId: data.id,
+          success: false,
+          enhancementId,
+          error: itemError.message,
+          metrics: shareMetrics
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Create the 'processing' history row for a description enhancement.
+   * The estimated cost is reserved in cost_usd until the real cost is known,
+   * so concurrent requests count against the monthly budget.
+   */
+  async startDescriptionRecord(playlist, model, style, estimatedCost = 0, metadata = null, prompt = null) {
+    const enhancementId = crypto.randomUUID();
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, previous_content,
+       status, ai_model, enhancement_style, cost_usd, metadata,
+       prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'description', ?, ?, 'processing', ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, playlist.user_id,
+      playlist.original_description || '',
+      playlist.ai_description || '',
+      model, style, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      prompt?.promptUsed || null, prompt?.templateId || null, prompt?.templateVersion || null
+    ).run();
+
+    await PlaylistDB.setEnhancementStatus(this.db, playlist.id, 'processing');
+
+    return enhancementId;
+  }
+
+  /**
+   * Complete a description enhancement and apply it to the playlist.
+   * The quality evaluation is stored in quality_score and metadata.quality,
+   * alongside anything recorded when the enhancement started.
+   */
+  async completeDescriptionRecord(playlist, enhancementId, enhancedContent, metrics, quality = null) {
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+          processing_time_ms = ?, quality_score = ?,
+          metadata = json_set(COALESCE(metadata, '{}'), '$.quality', json(?)),
+          status = 'completed', completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      enhancedContent, metrics.totalTokens, metrics.cost,
+      metrics.processingTime, quality ? quality.score : null,
+      JSON.stringify(quality), enhancementId
+    ).run();
+
+    await PlaylistDB.update(this.db, playlist.id, {
+      aiDescription: enhancedContent,
+      enhanced: true
+    });
+
+    await this.trackEnhancementEvent(playlist.id, enhancementId, metrics);
+  }
+
+  /**
+   * Mark a description enhancement and its playlist as failed
+   */
+  async failDescriptionRecord(playlistId, enhancementId, error, metrics = null) {
+    await this.failRecord(enhancementId, error, metrics);
+    await PlaylistDB.setEnhancementStatus(this.db, playlistId, 'failed');
+  }
+
+  /**
+   * Record the provider attempts behind one or more enhancements (the
+   * client's requests, including retries) in metadata.attempts
+   */
+  async recordAttempts(enhancementIds, aiClient) {
+    if (aiClient.attempts.length === 0) return;
+
+    const attempts = JSON.stringify(aiClient.attempts);
+    try {
+      await this.db.batch([].concat(enhancementIds).map(enhancementId => this.db.prepare(`
+        UPDATE enhancement_history
+        SET metadata = json_set(COALESCE(metadata, '{}'), '$.attempts', json(?))
+        WHERE id = ?
+      `).bind(attempts, enhancementId)));
+    } catch (error) {
+      console.error('EnhancementService.recordAttempts error:', error);
+    }
+  }
+
+  /**
+   * Mark an enhancement as failed, releasing its cost reservation. Usage is
+   * recorded when tokens were spent before the failure, including requests
+   * whose output failed validation (error.usage).
+   */
+  async failRecord(enhancementId, error, metrics = null) {
+    metrics = metrics || error.usage || null;
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET status = 'failed', error_message = ?, tokens_used = ?, cost_usd = ?,
+          completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      error.message, metrics?.totalTokens || 0, metrics?.cost || 0, enhancementId
+    ).run();
+  }
+
+  /**
+   * Generate alternative titles for a playlist. The suggestions are stored as a
+   * pending 'title' enhancement until one is applied with applyTitle().
+   */
+  async suggestTitles(playlist) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const videos = await this.getPromptVideos(playlist.id);
+    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos);
+
+    const template = await this.prompts.getActive('title');
+    const prompt = PromptTemplates.getTitleEnhancementPrompt(playlistData, null, template);
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferences.preferred_ai_model || 'gpt-4o-mini',
+      prompt, TITLE_MAX_OUTPUT_TOKENS
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'title' });
+    const enhancementId = crypto.randomUUID();
+    const metadata = this.scanForInjection(playlist, videos);
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.title.systemPrompt, prompt
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, status, ai_model, cost_usd, metadata,
+       prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'title', ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.title, model, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    try {
+      const result = await aiClient.suggestTitles(playlistData, null, { template });
+      const metrics = ContentPreparation.extractMetrics(result);
+
+      // Stays 'pending' until the user picks a title
+      await this.db.prepare(`
+        UPDATE enhancement_history
+        SET metadata = json_set(COALESCE(metadata, '{}'), '$.alternatives', json(?)),
+            tokens_used = ?, cost_usd = ?, processing_time_ms = ?, status = 'pending'
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(result.titles),
+        metrics.totalTokens, metrics.cost, metrics.processingTime, enhancementId
+      ).run();
+
+      return {
+        id: enhancementId,
+        originalTitle: playlist.title,
+        alternatives: result.titles,
+        metrics
+      };
+
+    } catch (aiError) {
+      await this.failRecord(enhancementId, aiError);
+      throw aiError;
+    } finally {
+      await this.recordAttempts(enhancementId, aiClient);
+    }
+  }
+
+  /**
+   * Apply a chosen title from a pending title enhancement, keeping the old
+   * title in previous_content so it can be reverted.
+   */
+  async applyTitle(playlist, enhancement, title) {
+    await PlaylistDB.update(this.db, playlist.id, { title });
+
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET enhanced_content = ?, previous_content = ?, status = 'completed',
+          completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(title, playlist.title, enhancement.id).run();
+
+    return { title, previousTitle: playlist.title };
+  }
+
+  /**
+   * Categorize a playlist and store the categories on it. An unchanged
+   * playlist is answered from the AI response cache at no cost unless
+   * bypassCache is set; such enhancements are recorded with cached = 1.
+   */
+  async categorize(playlist, { bypassCache = false } = {}) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const videos = await this.getPromptVideos(playlist.id);
+    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos);
+
+    const template = await this.prompts.getActive('categorization');
+    const prompt = PromptTemplates.getCategorizationPrompt(playlistData, template);
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferences.preferred_ai_model || 'gpt-4o-mini',
+      prompt, CATEGORIZATION_MAX_OUTPUT_TOKENS
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'categorization' });
+    const enhancementId = crypto.randomUUID();
+    const metadata = this.scanForInjection(playlist, videos);
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.categorization.systemPrompt, prompt
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, previous_content,
+       status, ai_model, cost_usd, metadata, prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'categorization', ?, ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.title,
+      playlist.categories || '', model, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    try {
+      const result = await aiClient.categorizePlaylist(playlistData, { template, bypassCache });
+      const categories = ContentPreparation.normalizeCategories(result.categories);
+      const metrics = ContentPreparation.extractMetrics(result);
+
+      const saved = await PlaylistDB.setCategories(this.db, playlist.id, categories);
+      if (!saved.success) {
+        throw new Error(`Failed to save categories: ${saved.error}`);
+      }
+
+      await this.db.prepare(`
+        UPDATE enhancement_history
+        SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+            processing_time_ms = ?, cached = ?, status = 'completed',
+            completed_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(categories), metrics.totalTokens, metrics.cost,
+        metrics.processingTime, metrics.cached ? 1 : 0, enhancementId
+      ).run();
+
+      return { id: enhancementId, categories, metrics };
+
+    } catch (aiError) {
+      await this.failRecord(enhancementId, aiError);
+      throw aiError;
+    } finally {
+      await this.recordAttempts(enhancementId, aiClient);
+    }
+  }
+
+  /**
+   * Run the AI content analysis for a playlist (ContentAnalysisEngine.performAIAnalysis)
+   * and record it as an 'analysis' enhancement. Repeat analyses of an unchanged
+   * playlist are answered from the AI response cache at no cost unless
+   * bypassCache is set; such enhancements are recorded with cached = 1. The
+   * budget check runs before the cache is consulted.
+   */
+  async analyzeContent(playlist, videos, { bypassCache = false } = {}) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const preferredModel = preferences.preferred_ai_model || 'gpt-4o-mini';
+
+    const engine = new ContentAnalysisEngine(this.db, this.createClient(preferredModel));
+    const playlistData = await engine.prepareAIAnalysisData(playlist.id, videos);
+    const template = await this.prompts.getActive('analysis');
+    const prompt = PromptTemplates.getAnalysisPrompt(playlistData, template);
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferredModel, prompt, ANALYSIS_MAX_OUTPUT_TOKENS
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'analysis' });
+    engine.aiClient = aiClient;
+    const enhancementId = crypto.randomUUID();
+    const metadata = this.scanForInjection(playlist, videos);
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.analysis.systemPrompt, prompt
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, status, ai_model, cost_usd, metadata,
+       prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'analysis', ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.title, model, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    try {
+      const analysis = await engine.performAIAnalysis(playlist.id, videos, { bypassCache, template });
+      const metrics = ContentPreparation.extractMetrics(analysis.result);
+
+      await this.db.prepare(`
+        UPDATE enhancement_history
+        SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+            processing_time_ms = ?, cached = ?, status = 'completed',
+            completed_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(analysis.data), metrics.totalTokens, metrics.cost,
+        metrics.processingTime, metrics.cached ? 1 : 0, enhancementId
+      ).run();
+
+      return {
+        id: enhancementId,
+        analysis: analysis.data,
+        confidence: analysis.confidence,
+        cached: metrics.cached,
+        metrics
+      };
+
+    } catch (aiError) {
+      await this.failRecord(enhancementId, aiError);
+      throw aiError;
+    } finally {
+      await this.recordAttempts(enhancementId, aiClient);
+    }
+  }
+
+  /**
+   * Generate structured learning objectives for a playlist and store them,
+   * replacing the current list. The previous list is kept as JSON in the
+   * history row's previous_content.
+   */
+  async generateObjectives(playlist) {
+    const userId = playlist.user_id;
+    const preferences = await this.getPreferences(userId);
+    const videos = await this.getPromptVideos(playlist.id);
+    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos);
+    const analysis = await this.getCachedAnalysis(playlist.id);
+    const template = await this.prompts.getActive('objectives');
+    const prompt = PromptTemplates.getLearningObjectivesPrompt(playlistData, analysis, template);
+
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferences.preferred_ai_model || 'gpt-4o-mini',
+      prompt, OBJECTIVES_MAX_OUTPUT_TOKENS
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'objectives' });
+    const previous = await LearningObjectiveDB.findByPlaylistId(this.db, playlist.id);
+    const enhancementId = crypto.randomUUID();
+    const metadata = this.scanForInjection(playlist, videos);
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.objectives.systemPrompt, prompt
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, previous_content,
+       status, ai_model, cost_usd, metadata, prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'objectives', ?, ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.title,
+      JSON.stringify(previous.map(row => row.objective)), model, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    try {
+      const result = await aiClient.generateLearningObjectives(playlistData, analysis, { template });
+      const objectives = ContentPreparation.normalizeObjectives(result.objectives, videos)
+        .map(item => ({ ...item, source: 'ai', enhancementId }));
+      const metrics = ContentPreparation.extractMetrics(result);
+
+      const saved = await LearningObjectiveDB.replaceForPlaylist(this.db, playlist.id, userId, objectives);
+      if (!saved.success) {
+        throw new Error(`Failed to save learning objectives: ${saved.error}`);
+      }
+
+      await this.db.prepare(`
+        UPDATE enhancement_history
+        SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+            processing_time_ms = ?, status = 'completed',
+            completed_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(objectives.map(item => item.objective)), metrics.totalTokens,
+        metrics.cost, metrics.processingTime, enhancementId
+      ).run();
+
+      return {
+        id: enhancementId,
+        objectives: await LearningObjectiveDB.findByPlaylistId(this.db, playlist.id),
+        metrics
+      };
+
+    } catch (aiError) {
+      await this.failRecord(enhancementId, aiError);
+      throw aiError;
+    } finally {
+      await this.recordAttempts(enhancementId, aiClient);
+    }
+  }
+
+  /**
+   * Replace a playlist's objectives with a user-edited list. Items that keep
+   * the id and text of an existing objective keep its source; everything else
+   * is recorded as written by the user.
+   */
+  async updateObjectives(playlist, items) {
+    const existing = new Map(
+      (await LearningObjectiveDB.findByPlaylistId(this.db, playlist.id)).map(row => [row.id, row])
+    );
+
+    const objectives = items.map(item => {
+      const current = item.id ? existing.get(item.id) : null;
+      const unchanged = current && current.objective === item.objective;
+
+      return {
+        id: current ? current.id : null,
+        objective: item.objective,
+        videoIds: item.videoIds,
+        source: unchanged ? current.source : 'user',
+        enhancementId: unchanged ? current.enhancement_id : null
+      };
+    });
+
+    const saved = await LearningObjectiveDB.replaceForPlaylist(this.db, playlist.id, playlist.user_id, objectives);
+    if (!saved.success) {
+      throw new Error(`Failed to save learning objectives: ${saved.error}`);
+    }
+
+    return await LearningObjectiveDB.findByPlaylistId(this.db, playlist.id);
+  }
+
+  /**
+   * Summarize the playlist's videos in batched requests. Summaries are stored
+   * per YouTube video, so videos already summarized (in any playlist) are
+   * skipped unless `force` is set. At most VIDEO_SUMMARY_MAX_PER_RUN videos are
+   * summarized per run; `remaining` tells the caller how many are left.
+   * The run is recorded as one 'video_summaries' enhancement.
+   */
+  async summarizeVideos(playlist, { force = false } = {}) {
+    const userId = playlist.user_id;
+    const videosResult = await this.db.prepare(`
+      SELECT * FROM playlist_videos WHERE playlist_id = ? ORDER BY position
+    `).bind(playlist.id).all();
+    const videos = videosResult.results || [];
+
+    const existing = await VideoSummaryDB.findByVideoIds(this.db, videos.map(video => video.youtube_video_id));
+    const seen = new Set();
+    const missing = videos.filter(video => {
+      if (seen.has(video.youtube_video_id)) return false;
+      seen.add(video.youtube_video_id);
+      return force || !existing.has(video.youtube_video_id);
+    });
+    const pending = missing.slice(0, VIDEO_SUMMARY_MAX_PER_RUN);
+
+    if (pending.length === 0) {
+      return { id: null, generated: 0, failed: 0, cached: existing.size, remaining: 0, metrics: null };
+    }
+
+    const template = await this.prompts.getActive('video_summaries');
+    const batches = [];
+    for (let i = 0; i < pending.length; i += VIDEO_SUMMARY_BATCH_SIZE) {
+      const batch = pending.slice(i, i + VIDEO_SUMMARY_BATCH_SIZE);
+      const prepared = ContentPreparation.preparePlaylistData(playlist, batch).videos;
+      batches.push({ videos: batch, prepared, prompt: PromptTemplates.getVideoSummariesPrompt(prepared, template) });
+    }
+
+    // Every batch is estimated at the size of the largest one
+    const preferences = await this.getPreferences(userId);
+    const largestPrompt = batches
+      .map(batch => batch.prompt)
+      .reduce((longest, prompt) => prompt.length > longest.length ? prompt : longest, '');
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferences.preferred_ai_model || 'gpt-4o-mini', largestPrompt,
+      VIDEO_SUMMARY_MAX_OUTPUT_TOKENS_PER_VIDEO * VIDEO_SUMMARY_BATCH_SIZE,
+      { count: batches.length }
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'video_summaries' });
+    const enhancementId = crypto.randomUUID();
+    const metadata = this.scanForInjection(playlist, pending);
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.video_summaries.systemPrompt,
+      batches.map(batch => batch.prompt)
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, status, ai_model, cost_usd, metadata,
+       prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'video_summaries', ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.title, model, estimatedCost,
+      metadata ? JSON.stringify(metadata) : null,
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    let metrics = null;
+    let generated = 0;
+    let lastError = null;
+
+    for (const batch of batches) {
+      try {
+        const result = await aiClient.summarizeVideos(batch.prepared, {
+          maxTokensPerVideo: VIDEO_SUMMARY_MAX_OUTPUT_TOKENS_PER_VIDEO,
+          template
+        });
+        const batchMetrics = ContentPreparation.extractMetrics(result);
+        metrics = this.addMetrics(metrics, batchMetrics);
+
+        const summaries = ContentPreparation.normalizeVideoSummaries(result.summaries, batch.videos);
+        if (summaries.length === 0) {
+          throw new Error('AI returned no usable video summaries');
+        }
+
+        // The request's cost is shared between the videos it summarized
+        const saved = await VideoSummaryDB.upsertMany(this.db, summaries.map(item => ({
+          ...item,
+          model,
+          tokensUsed: Math.round(batchMetrics.totalTokens / summaries.length),
+          cost: batchMetrics.cost / summaries.length,
+          enhancementId
+        })));
+        if (!saved.success) {
+          throw new Error(`Failed to save video summaries: ${saved.error}`);
+        }
+
+        generated += summaries.length;
+      } catch (batchError) {
+        // Keep going: summaries from other batches are still worth saving
+        console.error('Video summary batch failed:', batchError);
+        lastError = batchError;
+      }
+    }
+    await this.recordAttempts(enhancementId, aiClient);
+
+    if (generated === 0) {
+      const error = lastError || new Error('AI returned no usable video summaries');
+      await this.failRecord(enhancementId, error, metrics);
+      throw error;
+    }
+
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+          processing_time_ms = ?, status = 'completed',
+          completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      JSON.stringify({ generated, requested: pending.length }), metrics.totalTokens,
+      metrics.cost, metrics.processingTime, enhancementId
+    ).run();
+
+    return {
+      id: enhancementId,
+      generated,
+      failed: pending.length - generated,
+      cached: force ? 0 : existing.size,
+      remaining: missing.length - pending.length,
+      metrics
+    };
+  }
+
+  /**
+   * Translate a playlist's enhanced description into each of `languages`
+   * (codes from LANGUAGE_NAMES), replacing earlier translations. The
+   * description is taken to be in the owner's language_preference. Each
+   * language is a separate request; languages that fail are reported in
+   * `failed` without discarding the others.
+   */
+  async translateDescription(playlist, languages) {
+    const userId = playlist.user_id;
+
+    if (!playlist.ai_description) {
+      throw new Error('Playlist has no enhanced description to translate');
+    }
+
+    const preferences = await this.getPreferences(userId);
+    const sourceLanguage = preferences.language_preference || 'en';
+    if (languages.includes(sourceLanguage)) {
+      throw new Error(`Cannot translate into the description's own language (${LANGUAGE_NAMES[sourceLanguage] || sourceLanguage})`);
+    }
+
+    const template = await this.prompts.getActive('translation');
+    const prompts = languages.map(language =>
+      PromptTemplates.getTranslationPrompt(playlist.ai_description, language, template)
+    );
+
+    // Every language is estimated at the size of the longest prompt
+    const longestPrompt = prompts.reduce((longest, prompt) => prompt.length > longest.length ? prompt : longest, '');
+    const { model, estimatedCost } = await this.preflight(
+      userId, preferences, preferences.preferred_ai_model || 'gpt-4o-mini', longestPrompt,
+      TRANSLATION_MAX_OUTPUT_TOKENS, { count: languages.length }
+    );
+
+    const aiClient = this.createClient(model, { userId, playlistId: playlist.id, feature: 'translation' });
+    const enhancementId = crypto.randomUUID();
+    const record = this.promptRecord(
+      template, template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.translation.systemPrompt, prompts
+    );
+    await this.db.prepare(`
+      INSERT INTO enhancement_history
+      (id, playlist_id, user_id, enhancement_type, original_content, status, ai_model, cost_usd, metadata,
+       prompt_used, prompt_template_id, prompt_template_version)
+      VALUES (?, ?, ?, 'translation', ?, 'processing', ?, ?, ?, ?, ?, ?)
+    `).bind(
+      enhancementId, playlist.id, userId, playlist.ai_description, model, estimatedCost,
+      JSON.stringify({ sourceLanguage, languages }),
+      record.promptUsed, record.templateId, record.templateVersion
+    ).run();
+
+    let metrics = null;
+    let lastError = null;
+    const translations = {};
+    const failed = [];
+
+    for (const language of languages) {
+      try {
+        const result = await aiClient.translateDescription(playlist.ai_description, language, {
+          maxTokens: TRANSLATION_MAX_OUTPUT_TOKENS,
+          template
+        });
+        const languageMetrics = ContentPreparation.extractMetrics(result);
+        metrics = this.addMetrics(metrics, languageMetrics);
+
+        const description = ContentPreparation.sanitizeEnhancedContent(result.translation);
+        if (!description) {
+          throw new Error('AI returned an empty translation');
+        }
+
+        const saved = await PlaylistTranslationDB.upsert(this.db, playlist.id, {
+          language,
+          description,
+          sourceDescription: playlist.ai_description,
+          sourceLanguage,
+          model,
+          tokensUsed: languageMetrics.totalTokens,
+          cost: languageMetrics.cost,
+          enhancementId
+        });
+        if (!saved.success) {
+          throw new Error(`Failed to save translation: ${saved.error}`);
+        }
+
+        translations[language] = description;
+      } catch (languageError) {
+        // Keep going: the other languages are still worth translating
+        console.error(`Translation into ${language} failed:`, languageError);
+        failed.push(language);
+        lastError = languageError;
+      }
+    }
+    await this.recordAttempts(enhancementId, aiClient);
+
+    if (failed.length === languages.length) {
+      await this.failRecord(enhancementId, lastError, metrics);
+      throw lastError;
+    }
+
+    await this.db.prepare(`
+      UPDATE enhancement_history
+      SET enhanced_content = ?, tokens_used = ?, cost_usd = ?,
+          processing_time_ms = ?, status = 'completed',
+          completed_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).bind(
+      JSON.stringify(translations), metrics.totalTokens,
+      metrics.cost, metrics.processingTime, enhancementId
+    ).run();
+
+    return { id: enhancementId, sourceLanguage, translations, failed, metrics };
+  }
+
+  /**
+   * Unexpired AI content analysis for a playlist, if one was run
+   */
+  async getCachedAnalysis(playlistId) {
+    const cached = await this.db.prepare(`
+      SELECT analysis_data FROM content_analysis
+      WHERE playlist_id = ? AND analysis_type = 'ai-analysis' AND expires_at > strftime('%s', 'now')
+    `).bind(playlistId).first();
+
+    try {
+      return cached ? JSON.parse(cached.analysis_data) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the most recent applied enhancement of a type for a playlist
+   */
+  async getLatestApplied(playlistId, enhancementType) {
+    return await this.db.prepare(`
+      SELECT * FROM enhancement_history
+      WHERE playlist_id = ? AND enhancement_type = ? AND status = 'completed'
+      ORDER BY completed_at DESC, created_at DESC LIMIT 1
+    `).bind(playlistId, enhancementType).first();
+  }
+
+  /**
+   * Work out what a field looked like before an enhancement was applied.
+   * Rows created before previous_content existed fall back to the prior
+   * applied enhancement of the same type, or to an empty value.
+   */
+  async getContentBefore(enhancement) {
+    if (enhancement.previous_content !== null && enhancement.previous_content !== undefined) {
+      return enhancement.previous_content;
+    }
+
+    const prior = await this.db.prepare(`
+      SELECT enhanced_content FROM enhancement_history
+      WHERE playlist_id = ? AND enhancement_type = ? AND status = 'completed'
+      AND id != ? AND created_at <= ?
+      ORDER BY completed_at DESC, created_at DESC LIMIT 1
+    `).bind(
+      enhancement.playlist_id, enhancement.enhancement_type,
+      enhancement.id, enhancement.created_at
+    ).first();
+
+    return prior?.enhanced_content || '';
+  }
+
+  /**
+   * Roll a playlist back to its state before the given enhancement
+   */
+  async revertEnhancement(playlist, enhancement) {
+    let restored = await this.getContentBefore(enhancement);
+
+    if (enhancement.enhancement_type === 'description') {
+      await PlaylistDB.update(this.db, playlist.id, {
+        aiDescription: restored || null,
+        enhanced: Boolean(restored)
+      });
+      await PlaylistDB.setEnhancementStatus(this.db, playlist.id, restored ? 'completed' : 'none');
+
+      // enhancement_version counts applied description enhancements only
+      await this.db.prepare(`
+        UPDATE playlists
+        SET enhancement_version = MAX(COALESCE(enhancement_version, 0) - 1, 0),
+            updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).bind(playlist.id).run();
+    } else if (enhancement.enhancement_type === 'title') {
+      // A playlist always has a title; fall back to the one the suggestions were made for
+      restored = restored || enhancement.original_content;
+      await PlaylistDB.update(this.db, playlist.id, { title: restored });
+    } else {
+      throw new Error(`Cannot revert ${enhancement.enhancement_type} enhancements`);
+    }
+
+    await this.db.prepare(`
+      UPDATE enhancement_history SET status = 'reverted' WHERE id = ?
+    `).bind(enhancement.id).run();
+
+    return { restoredContent: restored || null };
+  }
+
+  /**
+   * Record a completed enhancement in playlist analytics (best effort)
+   */
+  async trackEnhancementEvent(playlistId, enhancementId, metrics) {
+    try {
+      await this.db.prepare(`
+        INSERT INTO playlist_analytics
+        (id, playlist_id, event_type, metadata, timestamp)
+        VALUES (?, ?, 'ai_enhancement_completed', ?, strftime('%s', 'now'))
+      `).bind(
+        crypto.randomUUID(),
+        playlistId,
+        JSON.stringify({
+          enhancementId,
+          tokensUsed: metrics.totalTokens,
+          cost: metrics.cost
+        })
+      ).run();
+    } catch (analyticsError) {
+      console.error('Analytics tracking failed:', analyticsError);
+      // Continue execution - analytics failure shouldn't break the enhancement
+    }
+  }
+}
+
+/**
+ * Sum grouped usage rows (see getUsageSeries)
+ */
+function usageTotals(rows) {
+  const totals = rows.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    successCount: sum.successCount + row.success_count,
+    errorCount: sum.errorCount + row.error_count,
+    tokensUsed: sum.tokensUsed + row.tokens_used,
+    cost: sum.cost + row.cost
+  }), { requests: 0, successCount: 0, errorCount: 0, tokensUsed: 0, cost: 0 });
+
+  return {
+    ...totals,
+    avgCostPerEnhancement: totals.successCount > 0 ? totals.cost / totals.successCount : null
+  };
+}
@@ -1,29 +1,56 @@
 // src/utils/openai-client.js - OpenAI API integration for AI enhancement
 
+import { PromptTemplates, BUILTIN_PROMPT_TEMPLATES } from './prompt-templates.js';
+import { PromptSafety } from './prompt-safety.js';
+import { MODEL_PRICING, OpenAICompatibleProvider, createProvider, parseModelPreference } from './ai-providers.js';
+import { AI_OUTPUT_SCHEMAS, parseJsonOutput, invalidOutputError } from './ai-schemas.js';
+import { AIUsageLedgerDB } from './db-utils.js';
+
 /**
- * OpenAI API client with cost tracking and error handling
+ * How long cached responses are kept, in seconds, for requests that opt in
+ * to the response cache (analysis and categorization)
+ */
+export const AI_RESPONSE_CACHE_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * AI client with cost tracking and error handling. Requests go through a
+ * provider adapter (see ai-providers.js); OpenAI is used when none is given.
+ * With a `ledger` ({ db, userId, playlistId, feature }), every call is
+ * recorded in ai_usage_ledger, whether it succeeds, fails or hits the cache.
  */
 export class OpenAIClient {
-    constructor(apiKey, defaultModel = 'gpt-4o-mini') {
+    constructor(apiKey, defaultModel = 'gpt-4o-mini', provider = null, cache = null, ledger = null) {
       this.apiKey = apiKey;
       this.defaultModel = defaultModel;
-      this.baseURL = 'https://api.openai.com/v1';
+      this.provider = provider || new OpenAICompatibleProvider({ apiKey });
+      this.cache = cache; // KV namespace for cached responses
+      this.ledger = ledger;
       
-      // Token pricing per 1K tokens (as of 2024)
-      this.pricing = {
-        'gpt-4o': { input: 0.0025, output: 0.01 },
-        'gpt-4o-mini': { input: 0.000150, output: 0.0006 },
-        'gpt-4-turbo': { input: 0.01, output: 0.03 },
-        'gpt-4': { input: 0.03, output: 0.06 },
-        'gpt-3.5-turbo': { input: 0.0015, output: 0.002 }
-      };
+      // Token pricing per 1K tokens
+      this.pricing = MODEL_PRICING;
+
+      // Provider attempts (including retries) of every request made by this client
+      this.attempts = [];
+      this.requestCount = 0;
+    }
+  
+    /**
+     * Create a client for a model preference ("provider:model" or a bare
+     * model name) using the provider configured for the environment. Calls
+     * are recorded in the usage ledger under `usage` ({ userId, playlistId,
+     * feature }) when given.
+     */
+    static fromEnv(env, modelPreference, usage = null) {
+      const { provider, model } = createProvider(env, modelPreference);
+      const ledger = usage && env.DB ? { db: env.DB, ...usage } : null;
+      return new OpenAIClient(null, model, provider, env.CACHE || null, ledger);
     }
   
     /**
      * Calculate cost for token usage
      */
     calculateCost(model, inputTokens, outputTokens) {
-      const modelPricing = this.pricing[model];
+      const modelPricing = this.pricing[model] || this.pricing[parseModelPreference(model).model];
       if (!modelPricing) {
         console.warn(`Unknown model pricing for ${model}, using gpt-4o-mini pricing`);
         return this.calculateCost('gpt-4o-mini', inputTokens, outputTokens);
@@ -36,30 +63,68 @@ export class OpenAIClient {
     }
   
     /**
-     * Make request to OpenAI API with error handling
+     * Generate chat completion.
+     * With `cacheTtl` (seconds), the response is cached under a hash of the
+     * provider, model, messages and parameters, and an identical request is
+     * answered from the cache at no cost (`cached: true`). `bypassCache` skips
+     * the lookup but still refreshes the cached response. `isCacheable(content)`
+     * can keep unusable responses out of the cache.
      */
-    async makeRequest(endpoint, data) {
-      const response = await fetch(`${this.baseURL}${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(data)
-      });
+    async createChatCompletion(options = {}) {
+      const {
+        messages,
+        model = this.defaultModel,
+        maxTokens = 1000,
+        temperature = 0.7,
+        systemPrompt = null,
+        cacheTtl = null,
+        bypassCache = false,
+        isCacheable = null
+      } = options;
+  
+      const request = {
+        model,
+        messages: this.buildMessages(messages, systemPrompt),
+        maxTokens,
+        temperature
+      };
   
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`OpenAI API error: ${errorData.error?.message || response.statusText}`);
+      const startTime = Date.now();
+      const cacheKey = this.cache && cacheTtl ? await this.getCacheKey(request) : null;
+  
+      if (cacheKey && !bypassCache) {
+        const cached = await this.getCachedCompletion(cacheKey);
+        if (cached) {
+          const result = this.buildCachedResult(model, cached, Date.now() - startTime);
+          await this.recordUsage(result, 'cached', { attempts: [] });
+          return result;
+        }
+      }
+      
+      let completion;
+      try {
+        const result = await this.provider.complete(request);
+        this.logAttempts(result.attempts);
+        completion = this.buildCompletionResult(model, result, Date.now() - startTime);
+        await this.recordUsage(completion, 'success', { attempts: result.attempts });
+      } catch (error) {
+        console.error(`AI provider (${this.provider.name}) error:`, error);
+        this.logAttempts(error.attempts);
+        await this.recordUsage({ model, processingTime: Date.now() - startTime }, 'error', { error, attempts: error.attempts });
+        throw this.wrapProviderError(error);
       }
   
-      return await response.json();
+      if (cacheKey && (!isCacheable || isCacheable(completion.content))) {
+        await this.putCachedCompletion(cacheKey, completion, cacheTtl);
+      }
+      return completion;
     }
   
     /**
-     * Generate chat completion
+     * Generate chat completion, passing each text delta to onToken as it
+     * arrives. Resolves with the same shape as createChatCompletion.
      */
-    async createChatCompletion(options = {}) {
+    async createChatCompletionStream(options = {}, onToken) {
       const {
         messages,
         model = this.defaultModel,
@@ -68,11 +133,197 @@ export class OpenAIClient {
         systemPrompt = null
       } = options;
   
+      const request = {
+        model,
+        messages: this.buildMessages(messages, systemPrompt),
+        maxTokens,
+        temperature,
+        onToken
+      };
+  
+      const startTime = Date.now();
+      
+      try {
+        const result = await this.provider.stream(request);
+        this.logAttempts(result.attempts);
+        const completion = this.buildCompletionResult(model, result, Date.now() - startTime);
+        await this.recordUsage(completion, 'success', { attempts: result.attempts });
+        return completion;
+      } catch (error) {
+        console.error(`AI provider (${this.provider.name}) stream error:`, error);
+        this.logAttempts(error.attempts);
+        await this.recordUsage({ model, processingTime: Date.now() - startTime }, 'error', { error, attempts: error.attempts });
+        throw this.wrapProviderError(error);
+      }
+    }
+  
+    /**
+     * Generate a chat completion that must be JSON matching
+     * AI_OUTPUT_SCHEMAS[task]. The response is repaired where possible (see
+     * ai-schemas.js); if it still does not validate, the model is asked once
+     * more with the validation errors. Resolves with the completion plus the
+     * validated `data`, the `repairs` made and whether it was `reasked`; usage
+     * and processing time cover both requests. Only valid responses are cached.
+     * Throws an error with validationErrors (and the usage spent) otherwise.
+     */
+    async completeJson(task, options) {
+      const schema = AI_OUTPUT_SCHEMAS[task];
+      const request = {
+        ...options,
+        isCacheable: content => parseJsonOutput(content, schema).valid
+      };
+  
+      const result = await this.createChatCompletion(request);
+      const parsed = parseJsonOutput(result.content, schema);
+      if (parsed.valid) {
+        return { ...result, data: parsed.data, repairs: parsed.repairs, reasked: false };
+      }
+  
+      console.warn(`Invalid ${task} output, asking again:`, parsed.errors);
+      const retry = await this.createChatCompletion({
+        ...request,
+        cacheTtl: null,
+        messages: [
+          ...options.messages,
+          { role: 'assistant', content: result.content },
+          { role: 'user', content: PromptTemplates.getJsonRepairPrompt(parsed.errors) }
+        ]
+      });
+  
+      const combined = {
+        ...retry,
+        usage: {
+          inputTokens: result.usage.inputTokens + retry.usage.inputTokens,
+          outputTokens: result.usage.outputTokens + retry.usage.outputTokens,
+          totalTokens: result.usage.totalTokens + retry.usage.totalTokens,
+          cost: result.usage.cost + retry.usage.cost,
+          estimated: result.usage.estimated || retry.usage.estimated
+        },
+        processingTime: result.processingTime + retry.processingTime
+      };
+  
+      const reparsed = parseJsonOutput(retry.content, schema);
+      if (!reparsed.valid) {
+        const error = invalidOutputError(task, reparsed.errors);
+        error.usage = combined.usage;
+        throw error;
+      }
+  
+      return { ...combined, data: reparsed.data, repairs: reparsed.repairs, reasked: true };
+    }
+  
+    /**
+     * Response cache key: SHA-256 of everything that determines the output
+     */
+    async getCacheKey({ model, messages, maxTokens, temperature }) {
+      const payload = JSON.stringify({ provider: this.provider.name, model, messages, maxTokens, temperature });
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+      const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+      return `ai-response:${hash}`;
+    }
+  
+    async getCachedCompletion(cacheKey) {
+      try {
+        return await this.cache.get(cacheKey, 'json');
+      } catch (error) {
+        console.error('AI response cache read failed:', error);
+        return null;
+      }
+    }
+  
+    async putCachedCompletion(cacheKey, completion, cacheTtl) {
+      try {
+        await this.cache.put(cacheKey, JSON.stringify({
+          content: completion.content,
+          finishReason: completion.finishReason,
+          usage: completion.usage,
+          cachedAt: Date.now()
+        }), { expirationTtl: Math.max(60, cacheTtl) }); // KV's minimum TTL
+      } catch (error) {
+        console.error('AI response cache write failed:', error);
+      }
+    }
+  
+    /**
+     * Completion result for a cache hit. Nothing was billed, so usage is zero;
+     * the usage of the original request is kept in originalUsage.
+     */
+    buildCachedResult(model, cached, processingTime) {
+      return {
+        success: true,
+        content: cached.content,
+        usage: {
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTokens: 0,
+          cost: 0,
+          estimated: false
+        },
+        model,
+        processingTime,
+        finishReason: cached.finishReason,
+        cached: true,
+        cachedAt: cached.cachedAt,
+        originalUsage: cached.usage
+      };
+    }
+  
+    /**
+     * Record one call in the usage ledger, if this client has one. Failed
+     * calls are recorded without tokens; calls rejected by an open circuit
+     * never reached the provider and are not recorded. The ledger write never
+     * fails the call.
+     */
+    async recordUsage(result, outcome, { error = null, attempts = null } = {}) {
+      if (!this.ledger || error?.circuitOpen) return;
+  
+      await AIUsageLedgerDB.record(this.ledger.db, {
+        userId: this.ledger.userId,
+        playlistId: this.ledger.playlistId,
+        feature: this.ledger.feature,
+        provider: this.provider.name,
+        model: result.model,
+        promptTokens: result.usage?.inputTokens || 0,
+        completionTokens: result.usage?.outputTokens || 0,
+        cost: result.usage?.cost || 0,
+        outcome,
+        errorMessage: error?.message || null,
+        durationMs: result.processingTime,
+        attempts: attempts ? attempts.length : 1,
+        estimated: result.usage?.estimated
+      });
+    }
+  
+    /**
+     * Add one request's provider attempts to this.attempts, numbered by request
+     */
+    logAttempts(attempts) {
+      if (!attempts || attempts.length === 0) return;
+  
+      this.requestCount++;
+      this.attempts.push(...attempts.map(attempt => ({ request: this.requestCount, ...attempt })));
+    }
+  
+    /**
+     * Wrap a provider error, keeping what callers need to tell an open circuit
+     * (circuitOpen, retryAfter) from other failures
+     */
+    wrapProviderError(error) {
+      const wrapped = new Error(`AI request failed: ${error.message}`);
+      wrapped.status = error.status;
+      wrapped.circuitOpen = Boolean(error.circuitOpen);
+      wrapped.retryAfter = error.retryAfter;
+      return wrapped;
+    }
+  
+    /**
+     * Prepare messages with system prompt if provided
+     */
+    buildMessages(messages, systemPrompt) {
       if (!messages || !Array.isArray(messages)) {
         throw new Error('Messages array is required');
       }
   
-      // Prepare messages with system prompt if provided
       const finalMessages = [];
       
       if (systemPrompt) {
@@ -83,57 +334,64 @@ export class OpenAIClient {
       }
       
       finalMessages.push(...messages);
+      return finalMessages;
+    }
+  
+    /**
+     * Normalize a provider result and calculate costs
+     */
+    buildCompletionResult(model, result, processingTime) {
+      const { inputTokens, outputTokens } = result;
+      const totalTokens = inputTokens + outputTokens;
   
-      const requestData = {
+      return {
+        success: true,
+        content: result.content,
+        usage: {
+          inputTokens,
+          outputTokens,
+          totalTokens,
+          cost: this.calculateCost(model, inputTokens, outputTokens),
+          estimated: Boolean(result.usageEstimated)
+        },
         model,
-        messages: finalMessages,
-        max_tokens: maxTokens,
-        temperature,
-        stream: false
+        processingTime,
+        finishReason: result.finishReason,
+        cached: false
       };
-  
-      const startTime = Date.now();
-      
-      try {
-        const result = await this.makeRequest('/chat/completions', requestData);
-        const endTime = Date.now();
-  
-        // Calculate costs
-        const inputTokens = result.usage?.prompt_tokens || 0;
-        const outputTokens = result.usage?.completion_tokens || 0;
-        const totalTokens = result.usage?.total_tokens || 0;
-        const cost = this.calculateCost(model, inputTokens, outputTokens);
-  
-        return {
-          success: true,
-          content: result.choices[0]?.message?.content || '',
-          usage: {
-            inputTokens,
-            outputTokens,
-            totalTokens,
-            cost
-          },
-          model,
-          processingTime: endTime - startTime,
-          finishReason: result.choices[0]?.finish_reason || 'unknown'
-        };
-  
-      } catch (error) {
-        console.error('OpenAI API error:', error);
-        throw new Error(`AI request failed: ${error.message}`);
-      }
     }
   
     /**
      * Create enhanced playlist description
      */
     async enhancePlaylistDescription(playlistData, options = {}) {
+      return await this.createChatCompletion(this.buildDescriptionRequest(playlistData, options));
+    }
+  
+    /**
+     * Create enhanced playlist description, streaming text deltas to onToken
+     */
+    async streamPlaylistDescription(playlistData, options = {}, onToken) {
+      return await this.createChatCompletionStream(this.buildDescriptionRequest(playlistData, options), onToken);
+    }
+  
+    /**
+     * Build the chat request for a description enhancement. `template` is a
+     * prompt registry version (the built-in one by default); `systemPrompt` and
+     * `temperature` override the defaults, e.g. when generating variants.
+     */
+    buildDescriptionRequest(playlistData, options = {}) {
       const {
         style = 'educational',
         includeKeywords = true,
         includeLearningObjectives = true,
         includeTargetAudience = true,
-        maxLength = 500
+        maxLength = 500,
+        contentLevel = 'intermediate',
+        userPreferences = null,
+        systemPrompt: systemPromptOverride = null,
+        temperature = 0.7,
+        template = BUILTIN_PROMPT_TEMPLATES.description
       } = options;
   
       const messages = [
@@ -144,244 +402,269 @@ export class OpenAIClient {
             includeKeywords,
             includeLearningObjectives,
             includeTargetAudience,
-            maxLength
+            maxLength,
+            contentLevel,
+            userPreferences,
+            template
           })
         }
       ];
   
-      const systemPrompt = `You are an expert educational content curator who specializes in creating compelling, informative playlist descriptions. Your descriptions should be engaging, educational, and help learners understand what they'll gain from the content.
+      const systemPrompt = systemPromptOverride || template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.description.systemPrompt;
   
-  Key principles:
-  - Focus on learning outcomes and educational value
-  - Use clear, accessible language
-  - Highlight key concepts and themes
-  - Make content discoverable and appealing
-  - Be concise but comprehensive`;
-  
-      return await this.createChatCompletion({
+      return {
         messages,
         systemPrompt,
         maxTokens: Math.min(maxLength * 2, 1000), // Allow some buffer
-        temperature: 0.7
-      });
+        temperature
+      };
     }
   
     /**
-     * Build prompt for playlist description enhancement
+     * Build prompt for playlist description enhancement. Untrusted playlist text
+     * is fenced and user preference additions get their own slot (see PromptTemplates).
      */
     buildDescriptionPrompt(playlistData, options) {
-      const {
-        style,
-        includeKeywords,
-        includeLearningObjectives,
-        includeTargetAudience,
-        maxLength
-      } = options;
+      return PromptTemplates.getDescriptionEnhancementPrompt(
+        playlistData, options, options.template || BUILTIN_PROMPT_TEMPLATES.description
+      );
+    }
   
-      let prompt = `Please create an enhanced description for this playlist:\n\n`;
-      
-      prompt += `Title: "${playlistData.title}"\n`;
-      prompt += `Original Description: "${playlistData.originalDescription || 'No description provided'}"\n`;
-      prompt += `Number of Videos: ${playlistData.videoCount}\n`;
-      
-      if (playlistData.videos && playlistData.videos.length > 0) {
-        prompt += `\nVideo Titles:\n`;
-        playlistData.videos.slice(0, 10).forEach((video, index) => {
-          prompt += `${index + 1}. ${video.title}\n`;
-        });
-        
-        if (playlistData.videos.length > 10) {
-          prompt += `... and ${playlistData.videos.length - 10} more videos\n`;
+    /**
+     * Analyze playlist content for themes and topics. Responses are cached
+     * for AI_RESPONSE_CACHE_TTL unless bypassCache is set.
+     */
+    async analyzePlaylistContent(playlistData, { bypassCache = false, template = BUILTIN_PROMPT_TEMPLATES.analysis } = {}) {
+      const messages = [
+        {
+          role: 'user',
+          content: this.buildAnalysisPrompt(playlistData, template)
         }
-      }
+      ];
   
-      if (playlistData.analysis) {
-        prompt += `\nContent Analysis:\n`;
-        if (playlistData.analysis.topics) {
-          prompt += `Topics: ${playlistData.analysis.topics.join(', ')}\n`;
-        }
-        if (playlistData.analysis.themes) {
-          prompt += `Themes: ${playlistData.analysis.themes.join(', ')}\n`;
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.analysis.systemPrompt;
+  
+      const result = await this.completeJson('analysis', {
+        messages,
+        systemPrompt,
+        maxTokens: 800,
+        temperature: 0.3, // Lower temperature for more consistent analysis
+        cacheTtl: AI_RESPONSE_CACHE_TTL,
+        bypassCache
+      });
+  
+      return {
+        ...result,
+        analysis: result.data
+      };
+    }
+  
+    /**
+     * Build prompt for content analysis (see PromptTemplates.getAnalysisPrompt)
+     */
+    buildAnalysisPrompt(playlistData, template = BUILTIN_PROMPT_TEMPLATES.analysis) {
+      return PromptTemplates.getAnalysisPrompt(playlistData, template);
+    }
+  
+    /**
+     * Generate learning objectives for a playlist. Returns the raw completion
+     * plus `objectives`: [{ objective, videoNumbers }], where videoNumbers are
+     * 1-based positions in playlistData.videos.
+     */
+    async generateLearningObjectives(playlistData, analysisData = null, { template = BUILTIN_PROMPT_TEMPLATES.objectives } = {}) {
+      const messages = [
+        {
+          role: 'user',
+          content: PromptTemplates.getLearningObjectivesPrompt(playlistData, analysisData, template)
         }
-        if (playlistData.analysis.difficulty) {
-          prompt += `Difficulty Level: ${playlistData.analysis.difficulty}\n`;
+      ];
+  
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.objectives.systemPrompt;
+  
+      const result = await this.completeJson('objectives', {
+        messages,
+        systemPrompt,
+        maxTokens: 600,
+        temperature: 0.5
+      });
+  
+      const objectives = result.data.map(item => ({ objective: item.objective, videoNumbers: item.videos }));
+  
+      return {
+        ...result,
+        objectives
+      };
+    }
+  
+    /**
+     * Summarize several videos in one request. Returns the raw completion plus
+     * `summaries`: [{ videoNumber, summary, keyPoints }], where videoNumber is
+     * the 1-based position in `videos`.
+     */
+    async summarizeVideos(videos, { maxTokensPerVideo = 150, template = BUILTIN_PROMPT_TEMPLATES.video_summaries } = {}) {
+      const messages = [
+        {
+          role: 'user',
+          content: PromptTemplates.getVideoSummariesPrompt(videos, template)
         }
-      }
+      ];
   
-      prompt += `\nPlease create a ${style} description that:\n`;
-      
-      if (includeLearningObjectives) {
-        prompt += `- Clearly outlines what learners will achieve\n`;
-      }
-      
-      if (includeKeywords) {
-        prompt += `- Includes relevant keywords for discoverability\n`;
-      }
-      
-      if (includeTargetAudience) {
-        prompt += `- Identifies the target audience\n`;
-      }
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.video_summaries.systemPrompt;
   
-      prompt += `- Highlights the educational value and key concepts\n`;
-      prompt += `- Is engaging and encourages learning\n`;
-      prompt += `- Is approximately ${maxLength} characters long\n`;
-      
-      switch (style) {
-        case 'educational':
-          prompt += `- Uses an academic but accessible tone\n`;
-          prompt += `- Emphasizes learning outcomes and skill development\n`;
-          break;
-        case 'concise':
-          prompt += `- Is brief and to the point\n`;
-          prompt += `- Focuses on core value proposition\n`;
-          break;
-        case 'detailed':
-          prompt += `- Provides comprehensive information about content\n`;
-          prompt += `- Includes detailed breakdown of topics covered\n`;
-          break;
-        case 'creative':
-          prompt += `- Uses engaging, creative language\n`;
-          prompt += `- Makes learning sound exciting and accessible\n`;
-          break;
-      }
+      const result = await this.completeJson('video_summaries', {
+        messages,
+        systemPrompt,
+        maxTokens: Math.min(4000, maxTokensPerVideo * videos.length),
+        temperature: 0.3
+      });
   
-      prompt += `\nReturn only the enhanced description text, without quotes or additional commentary.`;
+      const summaries = result.data.map(item => ({
+        videoNumber: item.video,
+        summary: item.summary,
+        keyPoints: item.keyPoints
+      }));
   
-      return prompt;
+      return {
+        ...result,
+        summaries
+      };
     }
   
     /**
-     * Analyze playlist content for themes and topics
+     * Translate an enhanced description into the language with the given code
      */
-    async analyzePlaylistContent(playlistData) {
+    async translateDescription(description, languageCode, { maxTokens = 1000, template = BUILTIN_PROMPT_TEMPLATES.translation } = {}) {
       const messages = [
         {
           role: 'user',
-          content: this.buildAnalysisPrompt(playlistData)
+          content: PromptTemplates.getTranslationPrompt(description, languageCode, template)
         }
       ];
   
-      const systemPrompt = `You are an expert content analyst who identifies themes, topics, educational patterns, and learning objectives from playlist data. Provide structured analysis in JSON format.`;
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.translation.systemPrompt;
   
       const result = await this.createChatCompletion({
         messages,
         systemPrompt,
-        maxTokens: 800,
-        temperature: 0.3 // Lower temperature for more consistent analysis
+        maxTokens,
+        temperature: 0.3
       });
   
-      try {
-        // Try to parse JSON from the response
-        const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          return {
-            ...result,
-            analysis: JSON.parse(jsonMatch[0])
-          };
-        } else {
-          throw new Error('No JSON found in response');
-        }
-      } catch (parseError) {
-        console.error('Failed to parse analysis JSON:', parseError);
-        // Return a basic structure if parsing fails
-        return {
-          ...result,
-          analysis: {
-            topics: [],
-            themes: [],
-            difficulty: 'unknown',
-            keywords: [],
-            targetAudience: 'general',
-            estimatedDuration: 'unknown'
-          }
-        };
-      }
+      return {
+        ...result,
+        translation: result.content
+      };
     }
   
     /**
-     * Build prompt for content analysis
+     * Enhance descriptions for several playlists in one request.
+     * Returns the raw completion plus the parsed items keyed by playlist ID.
      */
-    buildAnalysisPrompt(playlistData) {
-      let prompt = `Analyze this playlist for educational content structure:\n\n`;
-      
-      prompt += `Title: "${playlistData.title}"\n`;
-      prompt += `Description: "${playlistData.originalDescription || 'No description'}"\n`;
-      prompt += `Video Count: ${playlistData.videoCount}\n\n`;
-  
-      if (playlistData.videos && playlistData.videos.length > 0) {
-        prompt += `Video Titles:\n`;
-        playlistData.videos.forEach((video, index) => {
-          prompt += `${index + 1}. "${video.title}"\n`;
-          if (video.description && video.description.length > 0) {
-            prompt += `   Description: ${video.description.substring(0, 200)}...\n`;
-          }
-          if (video.duration) {
-            prompt += `   Duration: ${video.duration}\n`;
-          }
-        });
-      }
+    async enhancePlaylistBatch(playlistsData, options = {}) {
+      const {
+        style = 'educational',
+        maxTokensPerPlaylist = 350,
+        template = BUILTIN_PROMPT_TEMPLATES.description_batch
+      } = options;
   
-      prompt += `\nPlease analyze this content and return a JSON object with the following structure:
-  {
-    "topics": ["topic1", "topic2", ...],
-    "themes": ["theme1", "theme2", ...],
-    "difficulty": "beginner|intermediate|advanced",
-    "keywords": ["keyword1", "keyword2", ...],
-    "targetAudience": "description of target audience",
-    "learningObjectives": ["objective1", "objective2", ...],
-    "estimatedDuration": "estimated total learning time",
-    "contentType": "tutorial|lecture|demonstration|mixed",
-    "prerequisites": ["prerequisite1", "prerequisite2", ...],
-    "relatedFields": ["field1", "field2", ...]
-  }
+      const messages = [
+        {
+          role: 'user',
+          content: PromptTemplates.getBatchProcessingPrompt(playlistsData, 'description', template)
+        }
+      ];
   
-  Focus on:
-  - Educational topics and subject matter
-  - Learning difficulty and prerequisites
-  - Target audience characteristics
-  - Key concepts and themes
-  - Relevant keywords for searchability
+      const systemPrompt = this.getBatchSystemPrompt(style, template);
   
-  Return only the JSON object, no additional text.`;
+      const result = await this.completeJson('description_batch', {
+        messages,
+        systemPrompt,
+        maxTokens: Math.min(4000, maxTokensPerPlaylist * playlistsData.length),
+        temperature: 0.7
+      });
   
-      return prompt;
+      const items = {};
+      for (const item of result.data) {
+        items[item.playlistId] = item;
+      }
+  
+      return {
+        ...result,
+        items
+      };
     }
   
     /**
-     * Generate learning objectives for a playlist
+     * System prompt for a batch description request: the template's, or the
+     * style's description system prompt when the template has none
      */
-    async generateLearningObjectives(playlistData, analysisData = null) {
-      const analysis = analysisData || { topics: [], difficulty: 'intermediate' };
+    getBatchSystemPrompt(style, template = BUILTIN_PROMPT_TEMPLATES.description_batch) {
+      return template.systemPrompt ||
+        `${PromptTemplates.getSystemPrompt(style)}\n\nRespond only with the JSON array, one entry per playlist ID.`;
+    }
   
+    /**
+     * Suggest alternative playlist titles
+     */
+    async suggestTitles(playlistData, analysisData = null, { template = BUILTIN_PROMPT_TEMPLATES.title } = {}) {
       const messages = [
         {
           role: 'user',
-          content: `Generate 3-5 specific, measurable learning objectives for this playlist:
+          content: PromptTemplates.getTitleEnhancementPrompt(playlistData, analysisData, template)
+        }
+      ];
+  
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.title.systemPrompt;
+  
+      const result = await this.completeJson('titles', {
+        messages,
+        systemPrompt,
+        maxTokens: 300,
+        temperature: 0.8
+      });
   
-  Title: "${playlistData.title}"
-  Topics: ${analysis.topics?.join(', ') || 'Not specified'}
-  Difficulty: ${analysis.difficulty || 'intermediate'}
-  Video Count: ${playlistData.videoCount}
+      const titles = [...new Set(
+        result.data
+          .map(title => title.replace(/^["']|["']$/g, '').trim())
+          .filter(title => title.length > 0 && title.length <= 200)
+      )].slice(0, 5);
+  
+      if (titles.length === 0) {
+        throw new Error('AI returned no usable title suggestions');
+      }
   
-  Learning objectives should:
-  - Start with action verbs (understand, analyze, create, evaluate, etc.)
-  - Be specific and measurable
-  - Be appropriate for the difficulty level
-  - Reflect the actual content covered
+      return {
+        ...result,
+        titles
+      };
+    }
   
-  Format as a JSON array of strings:
-  ["By the end of this playlist, learners will be able to...", ...]`
+    /**
+     * Categorize a playlist within subject and educational taxonomies
+     */
+    async categorizePlaylist(playlistData, { template = BUILTIN_PROMPT_TEMPLATES.categorization, bypassCache = false } = {}) {
+      const messages = [
+        {
+          role: 'user',
+          content: PromptTemplates.getCategorizationPrompt(playlistData, template)
         }
       ];
   
-      const systemPrompt = `You are an instructional design expert who creates clear, measurable learning objectives that align with educational content and appropriate cognitive levels.`;
+      const systemPrompt = template.systemPrompt || BUILTIN_PROMPT_TEMPLATES.categorization.systemPrompt;
   
-      return await this.createChatCompletion({
+      const result = await this.completeJson('categorization', {
         messages,
         systemPrompt,
-        maxTokens: 400,
-        temperature: 0.5
+        maxTokens: 500,
+        temperature: 0.2,
+        cacheTtl: AI_RESPONSE_CACHE_TTL,
+        bypassCache
       });
+  
+      return {
+        ...result,
+        categories: result.data
+      };
     }
   
     /**
@@ -402,7 +685,7 @@ export class OpenAIClient {
   
         return {
           valid: true,
-          message: 'OpenAI API connection successful',
+          message: `${this.provider.name} API connection successful`,
           model: result.model,
           cost: result.usage.cost
         };
@@ -410,7 +693,7 @@ export class OpenAIClient {
       } catch (error) {
         return {
           valid: false,
-          message: `OpenAI API connection failed: ${error.message}`,
+          message: `${this.provider.name} API connection failed: ${error.message}`,
           error: error.message
         };
       }
@@ -422,20 +705,21 @@ export class OpenAIClient {
    */
   export const ContentPreparation = {
     /**
-     * Prepare playlist data for AI processing
+     * Prepare playlist data for AI processing. Text from YouTube is untrusted,
+     * so it is neutralized here before any prompt template sees it.
      */
     preparePlaylistData(playlist, videos = []) {
       return {
         id: playlist.id,
-        title: playlist.title,
-        originalDescription: playlist.original_description || '',
+        title: PromptSafety.neutralize(playlist.title, { maxLength: 200, singleLine: true }),
+        originalDescription: PromptSafety.neutralize(playlist.original_description),
         videoCount: playlist.video_count || videos.length,
         videos: videos.map(video => ({
           id: video.id,
-          title: video.title,
-          description: video.description,
+          title: PromptSafety.neutralize(video.title, { maxLength: 200, singleLine: true }),
+          description: PromptSafety.neutralize(video.description, { maxLength: 1000 }),
           duration: video.duration,
-          channelName: video.channel_name
+          channelName: PromptSafety.neutralize(video.channel_name, { maxLength: 100, singleLine: true })
         }))
       };
     },
@@ -480,7 +764,86 @@ export class OpenAIClient {
         cost: enhancementResult.usage?.cost || 0,
         processingTime: enhancementResult.processingTime || 0,
         model: enhancementResult.model || 'unknown',
-        finishReason: enhancementResult.finishReason || 'unknown'
+        finishReason: enhancementResult.finishReason || 'unknown',
+        cached: Boolean(enhancementResult.cached)
+      };
+    },
+  
+    /**
+     * Turn parsed AI objectives into storable items: trimmed, deduplicated,
+     * capped, and with video numbers resolved to the ids of the prompt videos
+     */
+    normalizeObjectives(objectives, videos = []) {
+      const seen = new Set();
+      const normalized = [];
+  
+      for (const item of objectives) {
+        const objective = item.objective.replace(/\s+/g, ' ').trim().substring(0, 300);
+        const key = objective.toLowerCase();
+        if (!objective || seen.has(key)) continue;
+        seen.add(key);
+  
+        const videoIds = [...new Set(
+          item.videoNumbers
+            .map(number => videos[parseInt(number) - 1]?.id)
+            .filter(Boolean)
+        )];
+  
+        normalized.push({ objective, videoIds });
+      }
+  
+      return normalized.slice(0, 8);
+    },
+  
+    /**
+     * Turn parsed AI video summaries into storable items keyed by YouTube video
+     * id. Numbers outside `videos` are dropped and the text is bounded.
+     */
+    normalizeVideoSummaries(summaries, videos = []) {
+      const normalized = new Map();
+  
+      for (const item of summaries) {
+        const video = videos[item.videoNumber - 1];
+        const summary = item.summary.replace(/\s+/g, ' ').trim().substring(0, 600);
+        if (!video || !summary || normalized.has(video.youtube_video_id)) continue;
+  
+        normalized.set(video.youtube_video_id, {
+          youtubeVideoId: video.youtube_video_id,
+          summary,
+          keyPoints: item.keyPoints
+            .map(point => point.replace(/\s+/g, ' ').trim().substring(0, 200))
+            .filter(Boolean)
+            .slice(0, 5)
+        });
+      }
+  
+      return [...normalized.values()];
+    },
+  
+    /**
+     * Normalize an AI categorization so values can be filtered on reliably
+     */
+    normalizeCategories(raw = {}) {
+      const clean = (value) => {
+        if (typeof value !== 'string') return null;
+        const normalized = value.trim().toLowerCase().substring(0, 100);
+        // Reject values where the template's option list was echoed back
+        return normalized && !normalized.includes('|') ? normalized : null;
+      };
+      const cleanList = (values) => [...new Set(
+        (Array.isArray(values) ? values : []).map(clean).filter(Boolean)
+      )].slice(0, 10);
+  
+      return {
+        primaryCategory: clean(raw.primaryCategory),
+        secondaryCategories: cleanList(raw.secondaryCategories),
+        educationalLevel: clean(raw.educationalLevel),
+        subjectDiscipline: clean(raw.subjectDiscipline),
+        instructionalType: clean(raw.instructionalType),
+        skillType: clean(raw.skillType),
+        careerRelevance: cleanList(raw.careerRelevance),
+        certificationAlignment: cleanList(raw.certificationAlignment),
+        tags: cleanList(raw.tags)
       };
     }
   };
\ No newline at end of file
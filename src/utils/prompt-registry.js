@@ -0,0 +1,258 @@
+// src/utils/prompt-registry.js - Versioned prompt templates backed by the prompt_templates table
+
+import { BUILTIN_PROMPT_TEMPLATES } from './prompt-templates.js';
+
+/**
+ * Template names in the registry, one per prompt builder
+ */
+export const PROMPT_TEMPLATE_NAMES = Object.keys(BUILTIN_PROMPT_TEMPLATES);
+
+/**
+ * Maximum length of a template body or system prompt
+ */
+export const MAX_PROMPT_TEMPLATE_LENGTH = 10000;
+
+/**
+ * D1-backed registry of prompt templates.
+ *
+ * Each name has numbered versions, exactly one of which is active. Version 1
+ * is the built-in template, seeded the first time a name is looked up.
+ * Publishing adds the next version and activates it; rolling back re-activates
+ * an earlier version. Versions are never edited, so history rows that point at
+ * one can always be reproduced.
+ */
+export class PromptRegistry {
+  constructor(db) {
+    this.db = db;
+    this.cache = new Map(); // active template per name, for this request
+  }
+
+  /**
+   * The active version of a template, as { id, name, version, systemPrompt, body }.
+   * Falls back to the built-in template (with a null id) if the table is unavailable.
+   */
+  async getActive(name) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    let row = null;
+    try {
+      row = await this.findActiveRow(name);
+      if (!row) {
+        await this.seedBuiltins();
+        row = await this.findActiveRow(name);
+      }
+    } catch (error) {
+      console.error('Prompt template lookup failed:', error);
+    }
+
+    const template = row ? transformTemplateRow(row) : {
+      id: null,
+      name,
+      version: 1,
+      systemPrompt: BUILTIN_PROMPT_TEMPLATES[name].systemPrompt,
+      body: BUILTIN_PROMPT_TEMPLATES[name].body
+    };
+
+    this.cache.set(name, template);
+    return template;
+  }
+
+  async findActiveRow(name) {
+    return await this.db.prepare(`
+      SELECT * FROM prompt_templates WHERE name = ? AND is_active = 1
+      ORDER BY version DESC LIMIT 1
+    `).bind(name).first();
+  }
+
+  /**
+   * Insert version 1 of every built-in template that has no versions yet
+   */
+  async seedBuiltins() {
+    await this.db.batch(PROMPT_TEMPLATE_NAMES.map(name => this.db.prepare(`
+      INSERT OR IGNORE INTO prompt_templates
+      (id, name, version, system_prompt, body, is_active, notes, activated_at)
+      SELECT ?, ?, 1, ?, ?, 1, 'Built-in template', strftime('%s', 'now')
+      WHERE NOT EXISTS (SELECT 1 FROM prompt_templates WHERE name = ?)
+    `).bind(
+      crypto.randomUUID(), name,
+      BUILTIN_PROMPT_TEMPLATES[name].systemPrompt, BUILTIN_PROMPT_TEMPLATES[name].body, name
+    )));
+  }
+
+  /**
+   * Check a template before publishing. Bodies must keep the {{data}} slot
+   * (the fenced playlist data) and may only use the builder's placeholders.
+   * Returns { valid, errors }.
+   */
+  validate(name, { systemPrompt = null, body } = {}) {
+    const errors = [];
+
+    if (!BUILTIN_PROMPT_TEMPLATES[name]) {
+      return { valid: false, errors: [`Unknown prompt template. Supported: ${PROMPT_TEMPLATE_NAMES.join(', ')}`] };
+    }
+
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      errors.push('Template body is required');
+    } else {
+      if (body.length > MAX_PROMPT_TEMPLATE_LENGTH) {
+        errors.push(`Template body cannot exceed ${MAX_PROMPT_TEMPLATE_LENGTH} characters`);
+      }
+
+      const allowed = BUILTIN_PROMPT_TEMPLATES[name].variables;
+      const used = [...body.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]);
+      const unknown = [...new Set(used.filter(variable => !allowed.includes(variable)))];
+
+      if (!used.includes('data')) {
+        errors.push('Template body must include the {{data}} placeholder');
+      }
+      if (unknown.length > 0) {
+        errors.push(`Unknown placeholders: ${unknown.join(', ')}. Supported: ${allowed.join(', ')}`);
+      }
+    }
+
+    if (systemPrompt !== null && systemPrompt !== undefined) {
+      if (typeof systemPrompt !== 'string') {
+        errors.push('systemPrompt must be a string');
+      } else if (systemPrompt.length > MAX_PROMPT_TEMPLATE_LENGTH) {
+        errors.push(`systemPrompt cannot exceed ${MAX_PROMPT_TEMPLATE_LENGTH} characters`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Publish a new version of a template and make it the active one.
+   * Call validate() first.
+   */
+  async publish(name, { systemPrompt = null, body, notes = null }, createdBy) {
+    await this.seedBuiltins();
+
+    const latest = await this.db.prepare(`
+      SELECT MAX(version) as version FROM prompt_templates WHERE name = ?
+    `).bind(name).first();
+
+    const id = crypto.randomUUID();
+    const version = (latest?.version || 0) + 1;
+
+    await this.db.batch([
+      this.db.prepare(`
+        UPDATE prompt_templates SET is_active = 0 WHERE name = ?
+      `).bind(name),
+      this.db.prepare(`
+        INSERT INTO prompt_templates
+        (id, name, version, system_prompt, body, is_active, notes, created_by, activated_at)
+        VALUES (?, ?, ?, ?, ?, 1, ?, ?, strftime('%s', 'now'))
+      `).bind(id, name, version, systemPrompt?.trim() || null, body, notes, createdBy)
+    ]);
+
+    this.cache.delete(name);
+    return transformTemplateRow(
+      await this.db.prepare('SELECT * FROM prompt_templates WHERE id = ?').bind(id).first()
+    );
+  }
+
+  /**
+   * Re-activate an earlier version: the given one, or the newest version below
+   * the active one. Throws when there is nothing to roll back to.
+   */
+  async rollback(name, version = null) {
+    await this.seedBuiltins();
+    const active = await this.findActiveRow(name);
+
+    const target = version !== null
+      ? await this.db.prepare(`
+          SELECT * FROM prompt_templates WHERE name = ? AND version = ?
+        `).bind(name, version).first()
+      : await this.db.prepare(`
+          SELECT * FROM prompt_templates WHERE name = ? AND version < ?
+          ORDER BY version DESC LIMIT 1
+        `).bind(name, active?.version || 0).first();
+
+    if (!target) {
+      throw new Error(version !== null
+        ? `Prompt template version ${version} not found`
+        : 'No earlier prompt template version to roll back to');
+    }
+
+    if (active && active.id === target.id) {
+      throw new Error(`Prompt template version ${target.version} is already active`);
+    }
+
+    await this.db.batch([
+      this.db.prepare(`
+        UPDATE prompt_templates SET is_active = 0 WHERE name = ?
+      `).bind(name),
+      this.db.prepare(`
+        UPDATE prompt_templates SET is_active = 1, activated_at = strftime('%s', 'now') WHERE id = ?
+      `).bind(target.id)
+    ]);
+
+    this.cache.delete(name);
+    return { ...transformTemplateRow(target), isActive: true, previousVersion: active?.version || null };
+  }
+
+  /**
+   * All versions of a template, newest first
+   */
+  async listVersions(name) {
+    await this.seedBuiltins();
+
+    const versions = await this.db.prepare(`
+      SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC
+    `).bind(name).all();
+
+    return (versions.results || []).map(transformTemplateRow);
+  }
+
+  /**
+   * Usage per version of a template: volume, failures, cost and ratings of the
+   * enhancements generated with it. In-flight enhancements are left out.
+   */
+  async getStats(name) {
+    const stats = await this.db.prepare(`
+      SELECT
+        prompt_template_version as version,
+        COUNT(*) as enhancements,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+        SUM(cost_usd) as total_cost,
+        AVG(cost_usd) as avg_cost,
+        AVG(tokens_used) as avg_tokens,
+        COUNT(user_rating) as ratings,
+        AVG(user_rating) as avg_rating,
+        AVG(quality_score) as avg_quality_score
+      FROM enhancement_history
+      WHERE prompt_template_id IN (SELECT id FROM prompt_templates WHERE name = ?)
+        AND status != 'processing'
+      GROUP BY prompt_template_version
+      ORDER BY prompt_template_version DESC
+    `).bind(name).all();
+
+    return stats.results || [];
+  }
+
+  /**
+   * Serialize the exact prompt sent for an enhancement, for prompt_used.
+   * `userPrompt` is a list when the enhancement took several requests.
+   */
+  static formatPromptUsed(systemPrompt, userPrompt) {
+    return JSON.stringify({ system: systemPrompt || null, user: userPrompt });
+  }
+}
+
+function transformTemplateRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    version: row.version,
+    systemPrompt: row.system_prompt,
+    body: row.body,
+    isActive: Boolean(row.is_active),
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at
+  };
+}
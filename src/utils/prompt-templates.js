@@ -1,10 +1,215 @@
 // src/utils/prompt-templates.js - AI prompt templates for playlist enhancement
 
+import { PromptSafety } from './prompt-safety.js';
+
+/**
+ * Built-in prompt templates, seeded as version 1 of each registry entry (see
+ * prompt-registry.js). `body` is the user prompt with {{placeholders}} filled
+ * by the matching PromptTemplates builder; {{data}} is the fenced, untrusted
+ * playlist data. A null systemPrompt leaves the client's default in place.
+ * `variables` lists the placeholders a body may use.
+ */
+export const BUILTIN_PROMPT_TEMPLATES = {
+  description: {
+    systemPrompt: `You are an expert educational content curator who specializes in creating compelling, informative playlist descriptions. Your descriptions should be engaging, educational, and help learners understand what they'll gain from the content.
+
+Key principles:
+- Focus on learning outcomes and educational value
+- Use clear, accessible language
+- Highlight key concepts and themes
+- Make content discoverable and appealing
+- Be concise but comprehensive`,
+    body: `Please create an enhanced description for this playlist:
+
+{{data}}{{analysis}}
+**Enhancement Requirements:**
+- Style: {{style}}
+- Target length: approximately {{maxLength}} characters
+- Content level: {{contentLevel}}
+{{inclusions}}{{styleInstructions}}{{userPreferences}}
+**Output Instructions:**
+Return only the enhanced description text. Do not include quotes, markdown formatting, or additional commentary. The description should be ready to use directly.`,
+    variables: ['data', 'analysis', 'style', 'maxLength', 'contentLevel', 'inclusions', 'styleInstructions', 'userPreferences']
+  },
+
+  description_batch: {
+    systemPrompt: null,
+    body: `Process multiple playlists for {{enhancementType}} enhancement:
+
+{{data}}
+**Requirements:**
+- Process each playlist individually
+- Maintain consistent quality and style
+- Return results as JSON array with the playlist IDs given above
+- Include confidence scores for each result
+
+**Output Format:**
+[
+    {
+      "playlistId": "id1",
+      "{{resultKey}}": "result text",
+      "confidence": 0.8,
+      "reasoning": "brief explanation"
+    },
+    ...
+  ]`,
+    variables: ['data', 'enhancementType', 'resultKey']
+  },
+
+  title: {
+    systemPrompt: `You are an expert educational content curator who writes clear, descriptive, search-friendly playlist titles. Avoid clickbait. Respond only with a JSON array of strings.`,
+    body: `Suggest an improved title for this playlist that better communicates its educational value:
+
+{{data}}
+**Title Requirements:**
+- Clear and descriptive (50-80 characters)
+- Includes key topics or skills
+- Appeals to target audience
+- Suggests learning outcomes
+- Optimized for search discoverability
+- Professional yet engaging tone
+
+Provide 3-5 alternative titles as a JSON array of strings.`,
+    variables: ['data']
+  },
+
+  analysis: {
+    systemPrompt: `You are an expert content analyst who identifies themes, topics, educational patterns, and learning objectives from playlist data. Provide structured analysis in JSON format.`,
+    body: `Analyze this playlist for educational content structure:
+
+{{data}}
+Please analyze this content and return a JSON object with the following structure:
+  {
+    "topics": ["topic1", "topic2", ...],
+    "themes": ["theme1", "theme2", ...],
+    "difficulty": "beginner|intermediate|advanced",
+    "keywords": ["keyword1", "keyword2", ...],
+    "targetAudience": "description of target audience",
+    "learningObjectives": ["objective1", "objective2", ...],
+    "estimatedDuration": "estimated total learning time",
+    "contentType": "tutorial|lecture|demonstration|mixed",
+    "prerequisites": ["prerequisite1", "prerequisite2", ...],
+    "relatedFields": ["field1", "field2", ...]
+  }
+  
+  Focus on:
+  - Educational topics and subject matter
+  - Learning difficulty and prerequisites
+  - Target audience characteristics
+  - Key concepts and themes
+  - Relevant keywords for searchability
+  
+  Return only the JSON object, no additional text.`,
+    variables: ['data']
+  },
+
+  categorization: {
+    systemPrompt: `You are an educational librarian who classifies learning content into consistent subject and level taxonomies. Respond only with the requested JSON object.`,
+    body: `Categorize this playlist within educational and subject taxonomies:
+
+{{data}}
+**Categorization Required:**
+Return a JSON object with the following categorizations:
+
+{
+    "primaryCategory": "main subject area",
+    "secondaryCategories": ["related area 1", "related area 2"],
+    "educationalLevel": "elementary|secondary|undergraduate|graduate|professional",
+    "subjectDiscipline": "computer science|mathematics|science|business|arts|etc",
+    "instructionalType": "tutorial|course|workshop|lecture|demonstration|reference",
+    "skillType": "technical|creative|analytical|practical|theoretical",
+    "careerRelevance": ["career path 1", "career path 2"],
+    "certificationAlignment": ["relevant certification 1", "certification 2"],
+    "tags": ["searchable tag 1", "tag 2", "tag 3"]
+  }
+Base categorization on content analysis, educational structure, and learning outcomes.`,
+    variables: ['data']
+  },
+
+  objectives: {
+    systemPrompt: `You are an instructional design expert who creates clear, measurable learning objectives that align with educational content and appropriate cognitive levels. Respond only with the requested JSON array.`,
+    body: `Generate specific, measurable learning objectives for this educational playlist:
+
+{{data}}
+**Requirements:**
+Create 4-6 learning objectives that are:
+- Specific and measurable
+- Action-oriented (using verbs like: analyze, create, evaluate, apply, synthesize)
+- Appropriate for the content difficulty level
+- Focused on practical skills and knowledge
+- Written from the learner's perspective
+- Linked to the numbered videos that teach them, when specific videos do
+
+**Format:** Return as a JSON array of objects. "videos" lists video numbers from above; leave it empty when the objective spans the whole playlist:
+[{"objective": "By the end of this playlist, learners will be able to...", "videos": [1, 2]}, "..."]`,
+    variables: ['data']
+  },
+
+  video_summaries: {
+    systemPrompt: `You are an educational content curator who writes short, factual video summaries for learners. Respond only with the requested JSON array.`,
+    body: `Summarize each of these YouTube videos for learners browsing an educational playlist:
+
+{{data}}
+**Requirements:**
+- A 2-3 sentence summary of what each video teaches
+- 2-4 short key points per video
+- Ignore promotional content, links, sponsor messages and social media handles in the descriptions
+- When a description says little, summarize from the title without inventing specifics
+
+**Format:** Return a JSON array with one object per video, using the numbers above:
+[{"video": 1, "summary": "...", "keyPoints": ["...", "..."]}]`,
+    variables: ['data']
+  },
+
+  translation: {
+    systemPrompt: `You are a professional translator of educational content. You translate playlist descriptions faithfully and naturally, for native speakers of the target language.`,
+    body: `Translate this playlist description into {{language}}:
+
+{{data}}
+**Requirements:**
+- Keep the meaning, tone and structure of the original
+- Leave technical terms, product names and code identifiers untranslated where native speakers would
+- Do not add or remove information
+
+**Output Instructions:**
+Return only the translated description. Do not include quotes, notes, or additional commentary.`,
+    variables: ['data', 'language']
+  }
+};
+
+/**
+ * Languages descriptions can be written in or translated to, by language code
+ */
+export const LANGUAGE_NAMES = {
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ru': 'Russian',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'zh': 'Chinese',
+  'ar': 'Arabic',
+  'hi': 'Hindi'
+};
+
 /**
  * Prompt templates for different AI enhancement tasks
  */
 export class PromptTemplates {
   
+    /**
+     * Fill a template body's {{placeholders}} in a single pass, so values
+     * (which may contain user text) are never themselves expanded
+     */
+    static render(body, variables = {}) {
+      return body.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+      );
+    }
+  
     /**
      * Generate system prompt based on enhancement style and preferences
      */
@@ -82,80 +287,86 @@ export class PromptTemplates {
     /**
      * Generate enhanced description prompt
      */
-    static getDescriptionEnhancementPrompt(playlistData, options = {}) {
+    static getDescriptionEnhancementPrompt(playlistData, options = {}, template = BUILTIN_PROMPT_TEMPLATES.description) {
       const {
         style = 'educational',
         maxLength = 500,
         includeKeywords = true,
         includeLearningObjectives = true,
         includeTargetAudience = true,
-        contentLevel = 'intermediate'
+        contentLevel = 'intermediate',
+        userPreferences = null
       } = options;
   
-      let prompt = `Please create an enhanced description for this playlist:\n\n`;
-      
       // Basic playlist information
-      prompt += `**Playlist Information:**\n`;
-      prompt += `Title: "${playlistData.title}"\n`;
-      prompt += `Original Description: "${playlistData.originalDescription || 'No description provided'}"\n`;
-      prompt += `Number of Videos: ${playlistData.videoCount}\n`;
+      let data = `**Playlist Information:**\n`;
+      data += `Title: "${playlistData.title}"\n`;
+      data += `Original Description: "${playlistData.originalDescription || 'No description provided'}"\n`;
+      data += `Number of Videos: ${playlistData.videoCount}\n`;
       
       // Video titles for context
       if (playlistData.videos && playlistData.videos.length > 0) {
-        prompt += `\n**Video Titles:**\n`;
-        playlistData.videos.slice(0, 15).forEach((video, index) => {
-          prompt += `${index + 1}. ${video.title}\n`;
+        data += `\n**Video Titles:**\n`;
+        playlistData.videos.forEach((video, index) => {
+          data += `${index + 1}. ${video.title}\n`;
         });
-        
-        if (playlistData.videos.length > 15) {
-          prompt += `... and ${playlistData.videos.length - 15} more videos\n`;
-        }
       }
   
       // Content analysis if available
+      let analysis = '';
       if (playlistData.analysis) {
-        prompt += `\n**Content Analysis:**\n`;
+        analysis += `\n**Content Analysis:**\n`;
         
         if (playlistData.analysis.topics?.length > 0) {
-          prompt += `Topics: ${playlistData.analysis.topics.slice(0, 8).join(', ')}\n`;
+          analysis += `Topics: ${playlistData.analysis.topics.slice(0, 8).join(', ')}\n`;
         }
         
         if (playlistData.analysis.themes?.length > 0) {
-          prompt += `Themes: ${playlistData.analysis.themes.join(', ')}\n`;
+          analysis += `Themes: ${playlistData.analysis.themes.join(', ')}\n`;
         }
         
         if (playlistData.analysis.difficulty) {
-          prompt += `Difficulty Level: ${playlistData.analysis.difficulty}\n`;
+          analysis += `Difficulty Level: ${playlistData.analysis.difficulty}\n`;
         }
         
         if (playlistData.analysis.targetAudience) {
-          prompt += `Target Audience: ${playlistData.analysis.targetAudience}\n`;
+          analysis += `Target Audience: ${playlistData.analysis.targetAudience}\n`;
         }
       }
   
-      // Enhancement requirements
-      prompt += `\n**Enhancement Requirements:**\n`;
-      prompt += `- Style: ${style}\n`;
-      prompt += `- Target length: approximately ${maxLength} characters\n`;
-      prompt += `- Content level: ${contentLevel}\n`;
-  
       // Specific inclusions
       const inclusions = [];
       if (includeLearningObjectives) inclusions.push('clear learning objectives');
       if (includeKeywords) inclusions.push('relevant keywords for discoverability');
       if (includeTargetAudience) inclusions.push('target audience identification');
       
-      if (inclusions.length > 0) {
-        prompt += `- Include: ${inclusions.join(', ')}\n`;
-      }
-  
-      // Style-specific instructions
-      prompt += this.getStyleSpecificInstructions(style);
+      return this.render(template.body, {
+        data: PromptSafety.fence(data) + this.getVideoSampleNote(playlistData),
+        analysis,
+        style,
+        maxLength,
+        contentLevel,
+        inclusions: inclusions.length > 0 ? `- Include: ${inclusions.join(', ')}\n` : '',
+        styleInstructions: this.getStyleSpecificInstructions(style),
+        // User additions go in their own slot, before the output instructions so they cannot replace them
+        userPreferences: userPreferences ? `\n${this.getUserPreferencePrompt(userPreferences)}` : ''
+      });
+    }
   
-      prompt += `\n**Output Instructions:**\n`;
-      prompt += `Return only the enhanced description text. Do not include quotes, markdown formatting, or additional commentary. The description should be ready to use directly.`;
+    /**
+     * Tell the model when the listed videos are only a sample of the playlist
+     * (see VideoSampler), so it covers the whole playlist rather than the list.
+     * Goes after the data fence, where it reads as an instruction.
+     */
+    static getVideoSampleNote(playlistData) {
+      const shown = playlistData.videos?.length || 0;
+      if (shown === 0 || !playlistData.videoCount || shown >= playlistData.videoCount) {
+        return '';
+      }
   
-      return prompt;
+      return `Note: the videos listed are a representative sample of ${shown} of the playlist's ` +
+        `${playlistData.videoCount} videos, spread across the whole playlist and including the start ` +
+        `of each section. The list is partial; write for the whole playlist, not just these videos.\n`;
     }
   
     /**
@@ -164,23 +375,25 @@ export class PromptTemplates {
     static getContentAnalysisPrompt(playlistData) {
       let prompt = `Analyze this educational playlist for content structure and learning characteristics:\n\n`;
       
-      prompt += `**Playlist:** "${playlistData.title}"\n`;
-      prompt += `**Original Description:** "${playlistData.originalDescription || 'No description provided'}"\n`;
-      prompt += `**Video Count:** ${playlistData.videoCount}\n\n`;
+      let data = `**Playlist:** "${playlistData.title}"\n`;
+      data += `**Original Description:** "${playlistData.originalDescription || 'No description provided'}"\n`;
+      data += `**Video Count:** ${playlistData.videoCount}\n\n`;
   
       if (playlistData.videos && playlistData.videos.length > 0) {
-        prompt += `**Video Content:**\n`;
+        data += `**Video Content:**\n`;
         playlistData.videos.forEach((video, index) => {
-          prompt += `${index + 1}. "${video.title}"`;
-          if (video.duration) prompt += ` (${video.duration})`;
-          if (video.channelName) prompt += ` - ${video.channelName}`;
-          prompt += `\n`;
+          data += `${index + 1}. "${video.title}"`;
+          if (video.duration) data += ` (${video.duration})`;
+          if (video.channelName) data += ` - ${video.channelName}`;
+          data += `\n`;
           
           if (video.description && video.description.length > 50) {
-            prompt += `   Description: ${video.description.substring(0, 150)}...\n`;
+            data += `   Description: ${video.description.substring(0, 150)}...\n`;
           }
         });
       }
+      
+      prompt += PromptSafety.fence(data);
   
       prompt += `\n**Analysis Required:**\n`;
       prompt += `Please analyze this content and return a JSON object with comprehensive educational metadata:\n\n`;
@@ -227,35 +440,63 @@ export class PromptTemplates {
     /**
      * Generate learning objectives prompt
      */
-    static getLearningObjectivesPrompt(playlistData, analysis = null) {
-      let prompt = `Generate specific, measurable learning objectives for this educational playlist:\n\n`;
-      
-      prompt += `**Playlist:** "${playlistData.title}"\n`;
-      prompt += `**Content:** ${playlistData.videoCount} videos\n`;
+    static getLearningObjectivesPrompt(playlistData, analysis = null, template = BUILTIN_PROMPT_TEMPLATES.objectives) {
+      let data = `**Playlist:** "${playlistData.title}"\n`;
+      data += `**Content:** ${playlistData.videoCount} videos\n`;
       
       if (analysis) {
-        if (analysis.topics) prompt += `**Topics:** ${analysis.topics.slice(0, 5).join(', ')}\n`;
-        if (analysis.difficulty) prompt += `**Difficulty:** ${analysis.difficulty}\n`;
-        if (analysis.targetAudience) prompt += `**Audience:** ${analysis.targetAudience}\n`;
+        if (analysis.topics) data += `**Topics:** ${analysis.topics.slice(0, 5).join(', ')}\n`;
+        if (analysis.difficulty) data += `**Difficulty:** ${analysis.difficulty}\n`;
+        if (analysis.targetAudience) data += `**Audience:** ${analysis.targetAudience}\n`;
       }
   
-      prompt += `\n**Sample Video Titles:**\n`;
+      data += `\n**Video Titles:**\n`;
       if (playlistData.videos && playlistData.videos.length > 0) {
-        playlistData.videos.slice(0, 8).forEach((video, index) => {
-          prompt += `${index + 1}. ${video.title}\n`;
+        playlistData.videos.forEach((video, index) => {
+          data += `${index + 1}. ${video.title}\n`;
         });
       }
+      
+      return this.render(template.body, { data: PromptSafety.fence(data) + this.getVideoSampleNote(playlistData) });
+    }
   
-      prompt += `\n**Requirements:**\n`;
-      prompt += `Create 4-6 learning objectives that are:\n`;
-      prompt += `- Specific and measurable\n`;
-      prompt += `- Action-oriented (using verbs like: analyze, create, evaluate, apply, synthesize)\n`;
-      prompt += `- Appropriate for the content difficulty level\n`;
-      prompt += `- Focused on practical skills and knowledge\n`;
-      prompt += `- Written from the learner's perspective\n\n`;
+    /**
+     * Generate a prompt summarizing several videos at once. Videos are numbered
+     * so answers can be matched back to them.
+     */
+    static getVideoSummariesPrompt(videos, template = BUILTIN_PROMPT_TEMPLATES.video_summaries) {
+      let data = '';
+      videos.forEach((video, index) => {
+        data += `${index + 1}. "${video.title}"`;
+        if (video.channelName) data += ` by ${video.channelName}`;
+        if (video.duration) data += ` (${video.duration})`;
+        data += `\n`;
+        if (video.description) data += `   Description: ${video.description}\n`;
+      });
+      
+      return this.render(template.body, { data: PromptSafety.fence(data) });
+    }
   
-      prompt += `**Format:** Return as a JSON array of strings:\n`;
-      prompt += `["By the end of this playlist, learners will be able to...", "Learners will understand...", "..."]`;
+    /**
+     * Generate a prompt translating an enhanced description into another language
+     */
+    static getTranslationPrompt(description, languageCode, template = BUILTIN_PROMPT_TEMPLATES.translation) {
+      return this.render(template.body, {
+        data: PromptSafety.fence(description),
+        language: this.getLanguageName(languageCode)
+      });
+    }
+  
+    /**
+     * Follow-up prompt asking for a corrected JSON answer after the previous
+     * one failed validation
+     */
+    static getJsonRepairPrompt(errors) {
+      let prompt = `Your previous response did not match the required JSON format:\n`;
+      errors.slice(0, 10).forEach(error => {
+        prompt += `- ${error}\n`;
+      });
+      prompt += `\nReturn only the corrected JSON, following the format requested above, with no other text.`;
   
       return prompt;
     }
@@ -263,73 +504,68 @@ export class PromptTemplates {
     /**
      * Generate title enhancement prompt
      */
-    static getTitleEnhancementPrompt(playlistData, analysis = null) {
-      let prompt = `Suggest an improved title for this playlist that better communicates its educational value:\n\n`;
-      
-      prompt += `**Current Title:** "${playlistData.title}"\n`;
-      prompt += `**Content:** ${playlistData.videoCount} videos\n`;
+    static getTitleEnhancementPrompt(playlistData, analysis = null, template = BUILTIN_PROMPT_TEMPLATES.title) {
+      let data = `**Current Title:** "${playlistData.title}"\n`;
+      data += `**Content:** ${playlistData.videoCount} videos\n`;
       
       if (analysis) {
-        if (analysis.topics) prompt += `**Main Topics:** ${analysis.topics.slice(0, 3).join(', ')}\n`;
-        if (analysis.difficulty) prompt += `**Level:** ${analysis.difficulty}\n`;
-        if (analysis.targetAudience) prompt += `**Audience:** ${analysis.targetAudience}\n`;
+        if (analysis.topics) data += `**Main Topics:** ${analysis.topics.slice(0, 3).join(', ')}\n`;
+        if (analysis.difficulty) data += `**Level:** ${analysis.difficulty}\n`;
+        if (analysis.targetAudience) data += `**Audience:** ${analysis.targetAudience}\n`;
       }
   
-      prompt += `\n**Sample Content:**\n`;
+      data += `\n**Sample Content:**\n`;
       if (playlistData.videos && playlistData.videos.length > 0) {
         playlistData.videos.slice(0, 5).forEach((video, index) => {
-          prompt += `${index + 1}. ${video.title}\n`;
+          data += `${index + 1}. ${video.title}\n`;
         });
       }
+      
+      return this.render(template.body, { data: PromptSafety.fence(data) });
+    }
   
-      prompt += `\n**Title Requirements:**\n`;
-      prompt += `- Clear and descriptive (50-80 characters)\n`;
-      prompt += `- Includes key topics or skills\n`;
-      prompt += `- Appeals to target audience\n`;
-      prompt += `- Suggests learning outcomes\n`;
-      prompt += `- Optimized for search discoverability\n`;
-      prompt += `- Professional yet engaging tone\n\n`;
-  
-      prompt += `Provide 3-5 alternative titles as a JSON array of strings.`;
+    /**
+     * Generate the prompt for ContentAnalysisEngine's AI analysis
+     */
+    static getAnalysisPrompt(playlistData, template = BUILTIN_PROMPT_TEMPLATES.analysis) {
+      let data = `Title: "${playlistData.title}"\n`;
+      data += `Description: "${playlistData.originalDescription || 'No description'}"\n`;
+      data += `Video Count: ${playlistData.videoCount}\n\n`;
   
-      return prompt;
+      if (playlistData.videos && playlistData.videos.length > 0) {
+        data += `Video Titles:\n`;
+        playlistData.videos.forEach((video, index) => {
+          data += `${index + 1}. "${video.title}"\n`;
+          if (video.description && video.description.length > 0) {
+            data += `   Description: ${video.description.substring(0, 200)}...\n`;
+          }
+          if (video.duration) {
+            data += `   Duration: ${video.duration}\n`;
+          }
+        });
+      }
+      
+      return this.render(template.body, {
+        data: PromptSafety.fence(data) + this.getVideoSampleNote(playlistData)
+      });
     }
   
     /**
      * Generate categorization prompt
      */
-    static getCategorizationPrompt(playlistData) {
-      let prompt = `Categorize this playlist within educational and subject taxonomies:\n\n`;
-      
-      prompt += `**Playlist:** "${playlistData.title}"\n`;
-      prompt += `**Description:** "${playlistData.originalDescription || 'None'}"\n`;
-      prompt += `**Videos:** ${playlistData.videoCount}\n\n`;
+    static getCategorizationPrompt(playlistData, template = BUILTIN_PROMPT_TEMPLATES.categorization) {
+      let data = `**Playlist:** "${playlistData.title}"\n`;
+      data += `**Description:** "${playlistData.originalDescription || 'None'}"\n`;
+      data += `**Videos:** ${playlistData.videoCount}\n\n`;
   
       if (playlistData.videos && playlistData.videos.length > 0) {
-        prompt += `**Sample Titles:**\n`;
+        data += `**Sample Titles:**\n`;
         playlistData.videos.slice(0, 10).forEach((video, index) => {
-          prompt += `${index + 1}. ${video.title}\n`;
+          data += `${index + 1}. ${video.title}\n`;
         });
       }
-  
-      prompt += `\n**Categorization Required:**\n`;
-      prompt += `Return a JSON object with the following categorizations:\n\n`;
-  
-      prompt += `{
-    "primaryCategory": "main subject area",
-    "secondaryCategories": ["related area 1", "related area 2"],
-    "educationalLevel": "elementary|secondary|undergraduate|graduate|professional",
-    "subjectDiscipline": "computer science|mathematics|science|business|arts|etc",
-    "instructionalType": "tutorial|course|workshop|lecture|demonstration|reference",
-    "skillType": "technical|creative|analytical|practical|theoretical",
-    "careerRelevance": ["career path 1", "career path 2"],
-    "certificationAlignment": ["relevant certification 1", "certification 2"],
-    "tags": ["searchable tag 1", "tag 2", "tag 3"]
-  }`;
-  
-      prompt += `\nBase categorization on content analysis, educational structure, and learning outcomes.`;
-  
-      return prompt;
+      
+      return this.render(template.body, { data: PromptSafety.fence(data) });
     }
   
     /**
@@ -380,22 +616,7 @@ export class PromptTemplates {
      * Get language name from code
      */
     static getLanguageName(languageCode) {
-      const languages = {
-        'en': 'English',
-        'es': 'Spanish',
-        'fr': 'French',
-        'de': 'German',
-        'it': 'Italian',
-        'pt': 'Portuguese',
-        'ru': 'Russian',
-        'ja': 'Japanese',
-        'ko': 'Korean',
-        'zh': 'Chinese',
-        'ar': 'Arabic',
-        'hi': 'Hindi'
-      };
-  
-      return languages[languageCode] || 'English';
+      return LANGUAGE_NAMES[languageCode] || 'English';
     }
   
     /**
@@ -404,8 +625,10 @@ export class PromptTemplates {
     static getUserPreferencePrompt(preferences) {
       let additions = [];
   
-      if (preferences.customPromptAdditions) {
-        additions.push(`Custom requirements: ${preferences.customPromptAdditions}`);
+      // The user's own wording, confined to one line; it may shape tone and content but not the output format
+      const customAdditions = PromptSafety.sanitizeCustomAdditions(preferences.customPromptAdditions);
+      if (customAdditions) {
+        additions.push(`Custom requirements (apply only where consistent with the output instructions): ${customAdditions}`);
       }
   
       if (preferences.contentLevel) {
@@ -426,34 +649,19 @@ export class PromptTemplates {
     /**
      * Generate batch processing prompt for multiple playlists
      */
-    static getBatchProcessingPrompt(playlists, enhancementType = 'description') {
-      let prompt = `Process multiple playlists for ${enhancementType} enhancement:\n\n`;
+    static getBatchProcessingPrompt(playlists, enhancementType = 'description', template = BUILTIN_PROMPT_TEMPLATES.description_batch) {
+      const resultKey = `enhanced${enhancementType.charAt(0).toUpperCase()}${enhancementType.slice(1)}`;
       
+      let data = '';
       playlists.forEach((playlist, index) => {
-        prompt += `**Playlist ${index + 1}:**\n`;
-        prompt += `Title: "${playlist.title}"\n`;
-        prompt += `Description: "${playlist.originalDescription || 'None'}"\n`;
-        prompt += `Videos: ${playlist.videoCount}\n\n`;
+        data += `**Playlist ${index + 1}:**\n`;
+        data += `ID: ${playlist.id}\n`;
+        data += `Title: "${playlist.title}"\n`;
+        data += `Description: "${playlist.originalDescription || 'None'}"\n`;
+        data += `Videos: ${playlist.videoCount}\n\n`;
       });
-  
-      prompt += `**Requirements:**\n`;
-      prompt += `- Process each playlist individually\n`;
-      prompt += `- Maintain consistent quality and style\n`;
-      prompt += `- Return results as JSON array with playlist IDs\n`;
-      prompt += `- Include confidence scores for each result\n\n`;
-  
-      prompt += `**Output Format:**\n`;
-      prompt += `[
-    {
-      "playlistId": "id1",
-      "enhanced${enhancementType}": "result text",
-      "confidence": 0.8,
-      "reasoning": "brief explanation"
-    },
-    ...
-  ]`;
-  
-      return prompt;
+      
+      return this.render(template.body, { data: PromptSafety.fence(data), enhancementType, resultKey });
     }
   }
   
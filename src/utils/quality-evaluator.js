@@ -0,0 +1,212 @@
+// src/utils/quality-evaluator.js - Heuristic quality scoring for AI-generated descriptions
+
+/**
+ * Relative weight of each check in the overall score. Checks that do not apply
+ * (e.g. learning objectives when none were requested) are left out of the average.
+ */
+export const QUALITY_WEIGHTS = {
+  length: 0.2,
+  keywordCoverage: 0.3,
+  readability: 0.2,
+  learningObjectives: 0.15,
+  videoReferences: 0.15
+};
+
+// Phrases that indicate the description states what learners will gain
+const OBJECTIVE_PATTERNS = [
+  /\byou(?:'ll| will) (?:learn|be able to|understand|master|build)\b/i,
+  /\bby the end\b/i,
+  /\blearners? will\b/i,
+  /\b(?:learning )?objectives?\b/i,
+  /\bable to\b/i
+];
+
+// Explicit references to a numbered video ("video 12", "lesson 3", "part 4")
+const NUMBERED_REFERENCE = /\b(video|lesson|episode|part|lecture)\s+#?(\d+)\b/gi;
+
+/**
+ * Scores generated descriptions from 0 to 1 and explains the result
+ */
+export const QualityEvaluator = {
+  /**
+   * Evaluate a description.
+   * Context: { maxLength, keywords, includeLearningObjectives, playlistTitle, videos, videoCount }.
+   * `videos` may be a sample of the playlist; `videoCount` is its full size.
+   */
+  evaluate(content, context = {}) {
+    const {
+      maxLength = 500,
+      keywords = [],
+      includeLearningObjectives = false,
+      playlistTitle = '',
+      videos = [],
+      videoCount = videos.length
+    } = context;
+
+    const checks = {
+      length: this.checkLength(content, maxLength),
+      keywordCoverage: this.checkKeywordCoverage(content, keywords),
+      readability: this.checkReadability(content),
+      learningObjectives: this.checkLearningObjectives(content, includeLearningObjectives),
+      videoReferences: this.checkVideoReferences(content, playlistTitle, videos, videoCount)
+    };
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const [name, check] of Object.entries(checks)) {
+      if (check.applicable === false) continue;
+      weightedSum += check.score * QUALITY_WEIGHTS[name];
+      totalWeight += QUALITY_WEIGHTS[name];
+    }
+
+    const flags = [];
+    if (checks.length.score < 0.5) flags.push('length');
+    if (checks.keywordCoverage.applicable && checks.keywordCoverage.score < 0.5) flags.push('low_keyword_coverage');
+    if (checks.readability.score < 0.5) flags.push('hard_to_read');
+    if (checks.learningObjectives.applicable && checks.learningObjectives.score === 0) flags.push('missing_learning_objectives');
+    if (checks.videoReferences.flagged.length > 0) flags.push('hallucinated_video_reference');
+
+    return {
+      score: Math.round((totalWeight > 0 ? weightedSum / totalWeight : 0) * 100) / 100,
+      checks,
+      flags
+    };
+  },
+
+  /**
+   * Full marks between 60% and 130% of the requested length
+   */
+  checkLength(content, maxLength) {
+    const ratio = content.length / maxLength;
+    let score = 1;
+
+    if (ratio < 0.6) {
+      score = ratio / 0.6;
+    } else if (ratio > 1.3) {
+      score = Math.max(0, 1 - (ratio - 1.3));
+    }
+
+    return { score: round(score), length: content.length, maxLength };
+  },
+
+  /**
+   * Share of the top playlist keywords mentioned; half of them earns full marks
+   */
+  checkKeywordCoverage(content, keywords) {
+    const topKeywords = keywords.slice(0, 10);
+    if (topKeywords.length === 0) {
+      return { score: 1, applicable: false, covered: [], missing: [] };
+    }
+
+    const text = content.toLowerCase();
+    const covered = topKeywords.filter(keyword => text.includes(keyword.toLowerCase().replace(/-/g, ' ')) ||
+      text.includes(keyword.toLowerCase()));
+    const missing = topKeywords.filter(keyword => !covered.includes(keyword));
+
+    return {
+      score: round(Math.min(1, covered.length / Math.ceil(topKeywords.length / 2))),
+      applicable: true,
+      covered,
+      missing
+    };
+  },
+
+  /**
+   * Flesch reading ease; 40-80 (plain English to fairly easy) earns full marks
+   */
+  checkReadability(content) {
+    const sentences = content.split(/[.!?]+(?:\s|$)/).filter(sentence => sentence.trim().length > 0);
+    const words = content.split(/\s+/).filter(word => /[a-z]/i.test(word));
+
+    if (words.length === 0 || sentences.length === 0) {
+      return { score: 0, fleschReadingEase: 0, averageSentenceLength: 0 };
+    }
+
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+    const averageSentenceLength = words.length / sentences.length;
+    const readingEase = 206.835 - 1.015 * averageSentenceLength - 84.6 * (syllables / words.length);
+
+    let score = 1;
+    if (readingEase < 40) {
+      score = Math.max(0, readingEase / 40);
+    } else if (readingEase > 80) {
+      score = Math.max(0.5, 1 - (readingEase - 80) / 40);
+    }
+
+    return {
+      score: round(score),
+      fleschReadingEase: round(readingEase),
+      averageSentenceLength: round(averageSentenceLength)
+    };
+  },
+
+  /**
+   * Whether the description states learning outcomes, when they were requested
+   */
+  checkLearningObjectives(content, requested) {
+    if (!requested) {
+      return { score: 1, applicable: false, requested: false, found: false };
+    }
+
+    const found = OBJECTIVE_PATTERNS.some(pattern => pattern.test(content));
+    return { score: found ? 1 : 0, applicable: true, requested: true, found };
+  },
+
+  /**
+   * Flag references to videos the playlist does not contain: numbered videos
+   * past the end of the playlist, and quoted titles that match no video
+   */
+  checkVideoReferences(content, playlistTitle, videos, videoCount = videos.length) {
+    // Without the video list there is nothing to check references against
+    if (videos.length === 0) {
+      return { score: 1, applicable: false, flagged: [] };
+    }
+
+    const flagged = [];
+
+    for (const match of content.matchAll(NUMBERED_REFERENCE)) {
+      if (Number(match[2]) > videoCount) {
+        flagged.push(match[0]);
+      }
+    }
+
+    const knownTitles = [playlistTitle, ...videos.map(video => video.title)]
+      .filter(Boolean)
+      .map(normalizeTitle);
+
+    for (const match of content.matchAll(/["“]([^"”]{12,120})["”]/g)) {
+      const quoted = normalizeTitle(match[1]);
+      if (quoted.split(' ').length < 3) continue;
+
+      const known = knownTitles.some(title => title.includes(quoted) || quoted.includes(title));
+      if (!known) {
+        flagged.push(match[1]);
+      }
+    }
+
+    return {
+      score: round(Math.max(0, 1 - flagged.length * 0.5)),
+      flagged
+    };
+  }
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+
+  const groups = cleaned
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+
+  return Math.max(1, groups ? groups.length : 1);
+}
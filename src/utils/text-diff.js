@@ -0,0 +1,146 @@
+// src/utils/text-diff.js - Word-level diff between two versions of a text
+
+// Above this many differing tokens per side the LCS table gets too large for a
+// Worker, and the changed middle is reported as one delete plus one insert
+const MAX_LCS_TOKENS = 3000;
+
+/**
+ * Diff two texts word by word. Whitespace is kept in the segments so joining
+ * the 'equal' and 'delete' segments rebuilds `before`, and joining 'equal'
+ * and 'insert' rebuilds `after`.
+ * Returns { segments: [{ type: 'equal'|'insert'|'delete', text }], stats: { added, removed, kept } }.
+ */
+export function diffWords(before = '', after = '') {
+  const a = tokenize(before || '');
+  const b = tokenize(after || '');
+
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const operations = [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'equal', text }))
+  ];
+
+  const stats = { added: 0, removed: 0, kept: 0 };
+  for (const operation of operations) {
+    if (!/\S/.test(operation.text)) continue;
+    if (operation.type === 'insert') stats.added++;
+    else if (operation.type === 'delete') stats.removed++;
+    else stats.kept++;
+  }
+
+  return { segments: mergeSegments(operations), stats };
+}
+
+/**
+ * Split text into alternating word and whitespace tokens
+ */
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ */
+function diffMiddle(a, b) {
+  if (a.length === 0) return b.map(text => ({ type: 'insert', text }));
+  if (b.length === 0) return a.map(text => ({ type: 'delete', text }));
+
+  if (a.length > MAX_LCS_TOKENS || b.length > MAX_LCS_TOKENS) {
+    return [
+      ...a.map(text => ({ type: 'delete', text })),
+      ...b.map(text => ({ type: 'insert', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:], stored row-major
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'delete', text: a[i++] });
+    } else {
+      operations.push({ type: 'insert', text: b[j++] });
+    }
+  }
+
+  while (i < a.length) operations.push({ type: 'delete', text: a[i++] });
+  while (j < b.length) operations.push({ type: 'insert', text: b[j++] });
+
+  return operations;
+}
+
+/**
+ * Join runs of the same operation into single segments. A lone whitespace
+ * token kept between two changes is folded into them, so a rewritten phrase
+ * reads as one delete and one insert instead of alternating word by word.
+ */
+function mergeSegments(operations) {
+  const folded = operations.map((operation, index) => {
+    const previous = operations[index - 1];
+    const next = operations[index + 1];
+    const isLoneSpace = operation.type === 'equal' && !/\S/.test(operation.text);
+
+    if (isLoneSpace && previous && next && previous.type !== 'equal' && next.type !== 'equal') {
+      return [{ type: 'delete', text: operation.text }, { type: 'insert', text: operation.text }];
+    }
+    return [operation];
+  }).flat();
+
+  // Within a changed run, list all deletions before the insertions
+  const ordered = [];
+  let run = [];
+  const flush = () => {
+    ordered.push(...run.filter(op => op.type === 'delete'), ...run.filter(op => op.type === 'insert'));
+    run = [];
+  };
+
+  for (const operation of folded) {
+    if (operation.type === 'equal') {
+      flush();
+      ordered.push(operation);
+    } else {
+      run.push(operation);
+    }
+  }
+  flush();
+
+  const segments = [];
+  for (const operation of ordered) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === operation.type) {
+      last.text += operation.text;
+    } else {
+      segments.push({ ...operation });
+    }
+  }
+
+  return segments;
+}
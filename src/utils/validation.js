@@ -230,6 +230,9 @@ export const Validator = {
         validated.customDescription = descResult.value;
       }
   
+      // Auto-enhance override (null = use the user's AI preference)
+      validated.autoEnhance = options.autoEnhance === undefined ? null : Boolean(options.autoEnhance);
+  
       return {
         valid: errors.length === 0,
         errors,
@@ -329,6 +332,51 @@ export const Validator = {
         validated.enhanced = Boolean(data.enhanced);
       }
   
+      return {
+        valid: errors.length === 0,
+        errors,
+        data: validated
+      };
+    },
+  
+    /**
+     * Validate an edited list of learning objectives. Each item is
+     * { id?, objective, videoIds? }; video ids must belong to the playlist.
+     */
+    validateLearningObjectives(objectives, playlistVideoIds = []) {
+      const errors = [];
+      const validated = [];
+  
+      if (!Array.isArray(objectives)) {
+        return { valid: false, errors: ['objectives must be an array'], data: [] };
+      }
+  
+      if (objectives.length > 20) {
+        return { valid: false, errors: ['Cannot have more than 20 learning objectives'], data: [] };
+      }
+  
+      const knownVideoIds = new Set(playlistVideoIds);
+  
+      objectives.forEach((item, index) => {
+        const objectiveResult = Validator.validateRequired(item?.objective, `objectives[${index}].objective`, 300);
+        if (!objectiveResult.valid) {
+          errors.push(objectiveResult.error);
+          return;
+        }
+  
+        const videoIds = item.videoIds === undefined ? [] : item.videoIds;
+        if (!Array.isArray(videoIds) || videoIds.some(id => !knownVideoIds.has(id))) {
+          errors.push(`objectives[${index}].videoIds must only contain videos in this playlist`);
+          return;
+        }
+  
+        validated.push({
+          id: typeof item.id === 'string' ? item.id : null,
+          objective: objectiveResult.value,
+          videoIds: [...new Set(videoIds)]
+        });
+      });
+  
       return {
         valid: errors.length === 0,
         errors,
@@ -0,0 +1,166 @@
+// src/utils/video-sampler.js - Representative video selection for prompts on large playlists
+
+import { PromptOptimizer } from './prompt-templates.js';
+
+/**
+ * Default token budget for the video list in a prompt
+ */
+export const DEFAULT_VIDEO_TOKEN_BUDGET = 500;
+
+// Numbered markers that start a new section of a course ("Part 2", "Module 3:", "Week 4")
+const SECTION_MARKER = /\b(part|section|chapter|module|unit|week)\s*[:#-]?\s*(\d+|[ivx]+)\b/i;
+// Dotted lesson numbers ("3.1 Closures"); the section is the leading number
+const DOTTED_NUMBER = /^\s*(\d+)\.\d+\b/;
+
+/**
+ * Picks the videos that go into a prompt when the whole playlist does not fit.
+ *
+ * Selection fills a token budget in priority order: the first and last
+ * videos, the first video of each section, the first video mentioning each
+ * topic, then evenly spaced videos across the rest of the playlist. Section
+ * starts and the even fill are taken in spread order (ends, middle,
+ * quarters, ...) so a budget that runs out part-way still covers the whole
+ * range; topics are taken most important first. The result is in playlist
+ * order.
+ */
+export class VideoSampler {
+
+  /**
+   * Select videos (ordered by position) within `tokenBudget`. `topics` are
+   * topic keywords, most important first, e.g. analyzeTopics().allTopics;
+   * `cost(video)` is the prompt tokens a video takes.
+   * Returns { videos, total, partial }.
+   */
+  static select(videos, { tokenBudget = DEFAULT_VIDEO_TOKEN_BUDGET, topics = [], cost = this.titleCost } = {}) {
+    if (this.fits(videos, { tokenBudget, cost })) {
+      return { videos, total: videos.length, partial: false };
+    }
+
+    const costs = videos.map(video => cost(video));
+
+    const selected = new Set();
+    let remaining = tokenBudget;
+
+    const take = (indices, { spread = true } = {}) => {
+      const ordered = spread ? this.spreadOrder(indices.length).map(position => indices[position]) : indices;
+      for (const index of ordered) {
+        if (!selected.has(index) && costs[index] <= remaining) {
+          selected.add(index);
+          remaining -= costs[index];
+        }
+      }
+    };
+
+    take([0, videos.length - 1]);
+    take(this.findSectionStarts(videos));
+    take(this.findTopicVideos(videos, topics), { spread: false });
+    take(videos.map((video, index) => index));
+
+    return {
+      videos: [...selected].sort((a, b) => a - b).map(index => videos[index]),
+      total: videos.length,
+      partial: true
+    };
+  }
+
+  /**
+   * Whether every video fits in the budget, i.e. no sampling is needed
+   */
+  static fits(videos, { tokenBudget = DEFAULT_VIDEO_TOKEN_BUDGET, cost = this.titleCost } = {}) {
+    return videos.reduce((sum, video) => sum + cost(video), 0) <= tokenBudget;
+  }
+
+  /**
+   * Tokens for a "N. title" line
+   */
+  static titleCost(video) {
+    return PromptOptimizer.estimateTokenCount(`100. ${video.title || ''}\n`);
+  }
+
+  /**
+   * Indices 0..length-1 ordered so that every prefix is spread evenly:
+   * first, last, middle, then the midpoints of each gap, and so on
+   */
+  static spreadOrder(length) {
+    if (length <= 2) {
+      return [...Array(length).keys()];
+    }
+
+    const order = [0, length - 1];
+    const seen = new Set(order);
+    let gaps = [[0, length - 1]];
+
+    while (gaps.length > 0) {
+      const next = [];
+      for (const [start, end] of gaps) {
+        if (end - start < 2) continue;
+
+        const middle = Math.floor((start + end) / 2);
+        if (!seen.has(middle)) {
+          seen.add(middle);
+          order.push(middle);
+        }
+        next.push([start, middle], [middle, end]);
+      }
+      gaps = next;
+    }
+
+    return order;
+  }
+
+  /**
+   * Indices of videos that start a new section, detected from numbered
+   * section markers or dotted lesson numbers in titles. The first video is
+   * not included.
+   */
+  static findSectionStarts(videos) {
+    const starts = [];
+    let previous = null;
+
+    videos.forEach((video, index) => {
+      const section = this.getSectionKey(video.title || '');
+      if (section === null) return;
+
+      if (previous !== null && section !== previous) {
+        starts.push(index);
+      }
+      previous = section;
+    });
+
+    return starts;
+  }
+
+  static getSectionKey(title) {
+    const marker = title.match(SECTION_MARKER);
+    if (marker) {
+      return `${marker[1].toLowerCase()} ${marker[2].toLowerCase()}`;
+    }
+
+    const dotted = title.match(DOTTED_NUMBER);
+    return dotted ? `section ${dotted[1]}` : null;
+  }
+
+  /**
+   * For each topic, in the order given, the first video whose title mentions
+   * it, or failing that its description. Each video is listed once.
+   */
+  static findTopicVideos(videos, topics) {
+    const picks = [];
+
+    for (const topic of topics) {
+      const keyword = String(topic).toLowerCase();
+      if (!keyword) continue;
+
+      let index = videos.findIndex(video => (video.title || '').toLowerCase().includes(keyword));
+      if (index === -1) {
+        index = videos.findIndex(video => (video.description || '').toLowerCase().includes(keyword));
+      }
+
+      if (index !== -1 && !picks.includes(index)) {
+        picks.push(index);
+      }
+    }
+
+    return picks;
+  }
+}
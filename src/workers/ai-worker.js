@@ -3,6 +3,7 @@
 import { extractUserFromToken } from '../utils/auth-utils.js';
 import { PlaylistDB, UserDB, GDPRConsentDB, handleDBError } from '../utils/db-utils.js';
 import { YouTubeAPI, ValidationUtils } from '../utils/youtube-api.js';
+import { EnhancementService } from '../utils/enhancement-service.js';
 import { 
   YouTubeValidator, 
   PlaylistValidator, 
@@ -629,11 +630,18 @@ async function handleCreatePlaylist(request, env) {
       source: youtubeId ? 'youtube_import' : 'manual'
     });
     
+    // Queue an AI description if auto-enhance is on
+    const autoEnhanceResult = await new EnhancementService(env).scheduleAutoEnhance(
+      { id: playlistId, user_id: userData.userId },
+      data.autoEnhance === undefined ? null : Boolean(data.autoEnhance)
+    );
+    
     // Fetch the created playlist
     const createdPlaylist = await PlaylistDB.findById(env.DB, playlistId);
     
     return jsonResponse({
       success: true,
+      autoEnhance: autoEnhanceResult,
       playlist: transformPlaylistForResponse(createdPlaylist)
     }, 201);
     
@@ -1334,6 +1342,12 @@ async function handleImportPlaylist(request, env) {
         totalVideos: importResult.videos.length
       });
       
+      // Queue an AI description if auto-enhance is on
+      const autoEnhanceResult = await new EnhancementService(env).scheduleAutoEnhance(
+        { id: newPlaylistId, user_id: userData.userId },
+        options.autoEnhance
+      );
+      
       // Get the created playlist
       const createdPlaylist = await PlaylistDB.findById(env.DB, newPlaylistId);
       
@@ -1346,6 +1360,7 @@ async function handleImportPlaylist(request, env) {
           totalVideos: importResult.videos.length,
           progressPercentage: 100
         },
+        autoEnhance: autoEnhanceResult,
         playlist: transformPlaylistForResponse(createdPlaylist)
       }, 201);
       
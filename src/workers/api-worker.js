@@ -2,11 +2,18 @@
 
 // === ALL IMPORTS AT TOP ===
 import { extractUserFromToken } from '../utils/auth-utils.js';
-import { PlaylistDB, UserDB, GDPRConsentDB, handleDBError } from '../utils/db-utils.js';
+import { PlaylistDB, UserDB, GDPRConsentDB, LearningObjectiveDB, VideoSummaryDB, PlaylistTranslationDB, handleDBError } from '../utils/db-utils.js';
 import { YouTubeAPI, ValidationUtils } from '../utils/youtube-api.js';
 import { OpenAIClient, ContentPreparation } from '../utils/openai-client.js';
 import { ContentAnalysisEngine } from '../utils/content-analysis.js';
-import { PromptTemplates } from '../utils/prompt-templates.js';
+import { PromptTemplates, LANGUAGE_NAMES } from '../utils/prompt-templates.js';
+import { EnhancementService, DEFAULT_AI_PREFERENCES, ENHANCEMENT_STYLES, BUDGET_ACTIONS, REVERTIBLE_ENHANCEMENT_TYPES, VARIANT_LIMITS, TRANSLATION_MAX_LANGUAGES, USAGE_SERIES_DAYS } from '../utils/enhancement-service.js';
+import { AIProcessingQueue, QUEUE_ENHANCEMENT_TYPES, transformQueueJob } from '../utils/ai-queue.js';
+import { isProviderConfigured } from '../utils/ai-providers.js';
+import { MAX_CUSTOM_PROMPT_LENGTH } from '../utils/prompt-safety.js';
+import { PromptRegistry, PROMPT_TEMPLATE_NAMES } from '../utils/prompt-registry.js';
+import { diffWords } from '../utils/text-diff.js';
+import { AICostReport, COST_REPORT_SECTIONS, COST_REPORT_SPENDER_LIMITS } from '../utils/cost-report.js';
 import { 
   YouTubeValidator, 
   PlaylistValidator, 
@@ -49,14 +56,14 @@ export default {
         }
         
         // Add Phase 3 features if available ✨
-        if (env.OPENAI_API_KEY) {
+        if (isProviderConfigured(env)) {
           features.push('ai-enhancement', 'content-analysis');
         }
         
         return jsonResponse({ 
           status: 'healthy', 
           timestamp: Date.now(),
-          phase: env.OPENAI_API_KEY ? 'Phase 3 - AI Enhancement' : 
+          phase: isProviderConfigured(env) ? 'Phase 3 - AI Enhancement' : 
                 env.YOUTUBE_API_KEY ? 'Phase 2 - YouTube Integration' : 
                 'Phase 1 - Basic Features',
           features
@@ -91,6 +98,10 @@ export default {
         return await handleCreatePlaylist(request, env);
       }
       
+      if (url.pathname === '/api/search/playlists' && request.method === 'GET') {
+        return await handleSearchPlaylists(request, env);
+      }
+      
       if (url.pathname.match(/^\/api\/playlists\/[^\/]+$/) && request.method === 'GET') {
         const playlistId = url.pathname.split('/').pop();
         return await handleGetPlaylist(request, env, playlistId);
@@ -180,23 +191,137 @@ export default {
         return await handleEnhancePlaylist(request, env, playlistId);
       }
       
+      // Enhance playlist description, streaming the output as Server-Sent Events
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhance\/stream$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleEnhancePlaylistStream(request, env, ctx, playlistId);
+      }
+      
+      // Generate several description candidates to choose from
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhance\/variants$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleEnhanceVariants(request, env, playlistId);
+      }
+      
+      // Suggest alternative titles
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhance\/title$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleSuggestTitles(request, env, playlistId);
+      }
+      
+      // Apply a suggested title
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhance\/title\/apply$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleApplyTitle(request, env, playlistId);
+      }
+      
+      // Categorize playlist
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/categorize$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleCategorizePlaylist(request, env, playlistId);
+      }
+      
+      // Learning objectives
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/objectives$/) && request.method === 'GET') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleGetObjectives(request, env, playlistId);
+      }
+      
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/objectives$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleGenerateObjectives(request, env, playlistId);
+      }
+      
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/objectives$/) && request.method === 'PUT') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleUpdateObjectives(request, env, playlistId);
+      }
+      
+      // Description translations
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/translations$/) && request.method === 'GET') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleGetTranslations(request, env, playlistId);
+      }
+      
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/translations$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleTranslateDescription(request, env, playlistId);
+      }
+      
+      // Summarize the playlist's videos
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/videos\/summaries$/) && request.method === 'POST') {
+        const playlistId = url.pathname.split('/')[3];
+        return await handleSummarizeVideos(request, env, playlistId);
+      }
+      
       // Get enhancement status
       if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhancement$/) && request.method === 'GET') {
         const playlistId = url.pathname.split('/')[3];
         return await handleGetEnhancement(request, env, playlistId);
       }
       
+      // Revert an applied enhancement
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhancements\/[^\/]+\/revert$/) && request.method === 'POST') {
+        const parts = url.pathname.split('/');
+        const playlistId = parts[3];
+        const enhancementId = parts[5];
+        return await handleRevertEnhancement(request, env, playlistId, enhancementId);
+      }
+      
+      // Apply the chosen description candidate
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhancements\/[^\/]+\/select$/) && request.method === 'POST') {
+        const parts = url.pathname.split('/');
+        const playlistId = parts[3];
+        const enhancementId = parts[5];
+        return await handleSelectCandidate(request, env, playlistId, enhancementId);
+      }
+      
+      // Word diff of an enhancement against another version
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhancements\/[^\/]+\/diff$/) && request.method === 'GET') {
+        const parts = url.pathname.split('/');
+        const playlistId = parts[3];
+        const enhancementId = parts[5];
+        return await handleDiffEnhancement(request, env, playlistId, enhancementId);
+      }
+      
+      // Rate an enhancement
+      if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/enhancements\/[^\/]+\/rating$/) && request.method === 'POST') {
+        const parts = url.pathname.split('/');
+        const playlistId = parts[3];
+        const enhancementId = parts[5];
+        return await handleRateEnhancement(request, env, playlistId, enhancementId);
+      }
+      
       // Analyze playlist content
       if (url.pathname.match(/^\/api\/playlists\/[^\/]+\/analyze$/) && request.method === 'POST') {
         const playlistId = url.pathname.split('/')[3];
         return await handleAnalyzeContent(request, env, playlistId);
       }
       
+      // Enhance several playlists in batched AI requests
+      if (url.pathname === '/api/ai/batch-enhance' && request.method === 'POST') {
+        return await handleBatchEnhance(request, env);
+      }
+      
       // Get AI usage stats
       if (url.pathname === '/api/ai/usage' && request.method === 'GET') {
         return await handleGetAIUsage(request, env);
       }
       
+      // Background AI queue
+      if (url.pathname === '/api/ai/queue' && request.method === 'POST') {
+        return await handleEnqueueEnhancements(request, env);
+      }
+      
+      if (url.pathname === '/api/ai/queue' && request.method === 'GET') {
+        return await handleGetQueue(request, env);
+      }
+      
+      if (url.pathname.match(/^\/api\/ai\/queue\/[^\/]+$/) && request.method === 'GET') {
+        const jobId = url.pathname.split('/')[4];
+        return await handleGetQueueJob(request, env, jobId);
+      }
+      
       // User AI preferences
       if (url.pathname === '/api/ai/preferences' && request.method === 'GET') {
         return await handleGetAIPreferences(request, env);
@@ -206,6 +331,33 @@ export default {
         return await handleUpdateAIPreferences(request, env);
       }
       
+      // === ADMIN ENDPOINTS ===
+      
+      // Prompt template registry
+      if (url.pathname === '/api/admin/prompt-templates' && request.method === 'GET') {
+        return await handleListPromptTemplates(request, env);
+      }
+      
+      if (url.pathname.match(/^\/api\/admin\/prompt-templates\/[^\/]+$/) && request.method === 'GET') {
+        const name = url.pathname.split('/')[4];
+        return await handleGetPromptTemplate(request, env, name);
+      }
+      
+      if (url.pathname.match(/^\/api\/admin\/prompt-templates\/[^\/]+$/) && request.method === 'POST') {
+        const name = url.pathname.split('/')[4];
+        return await handlePublishPromptTemplate(request, env, name);
+      }
+      
+      if (url.pathname.match(/^\/api\/admin\/prompt-templates\/[^\/]+\/rollback$/) && request.method === 'POST') {
+        const name = url.pathname.split('/')[4];
+        return await handleRollbackPromptTemplate(request, env, name);
+      }
+      
+      // AI cost report across all users
+      if (url.pathname === '/api/admin/ai-costs' && request.method === 'GET') {
+        return await handleGetAICostReport(request, env);
+      }
+      
       // 404 for unmatched routes
       return jsonResponse({ error: 'Not found' }, 404);
       
@@ -213,6 +365,11 @@ export default {
       console.error('API worker error:', error);
       return jsonResponse({ error: error.message }, 500);
     }
+  },
+  
+  // Cron trigger: drain the background AI queue
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(processAIQueue(env));
   }
 };
 
@@ -427,8 +584,9 @@ async function handleGetPlaylists(request, env) {
     
     const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 100);
     const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+    const filters = parseCategoryFilters(url);
     
-    const result = await PlaylistDB.findByUserId(env.DB, userData.userId, limit, offset);
+    const result = await PlaylistDB.findByUserId(env.DB, userData.userId, limit, offset, filters);
     
     if (!result.success) {
       return jsonResponse({ error: 'Failed to fetch playlists' }, 500);
@@ -448,6 +606,7 @@ async function handleGetPlaylists(request, env) {
       enhanced: Boolean(playlist.enhanced),
       thumbnailUrl: playlist.thumbnail_url,
       youtubeId: playlist.youtube_id,
+      categories: transformCategories(playlist),
       createdAt: playlist.created_at,
       updatedAt: playlist.updated_at
     }));
@@ -459,7 +618,8 @@ async function handleGetPlaylists(request, env) {
         limit,
         offset,
         total: transformedPlaylists.length
-      }
+      },
+      filters
     });
     
   } catch (error) {
@@ -476,7 +636,7 @@ async function handleCreatePlaylist(request, env) {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
     const data = await request.json();
     
-    const { title, originalDescription, youtubeId, thumbnailUrl } = data;
+    const { title, originalDescription, youtubeId, thumbnailUrl, autoEnhance } = data;
     
     // Validation
     if (!title || title.trim().length === 0) {
@@ -503,11 +663,18 @@ async function handleCreatePlaylist(request, env) {
       return jsonResponse({ error: 'Failed to create playlist' }, 500);
     }
     
+    // Queue an AI description if auto-enhance is on
+    const autoEnhanceResult = await new EnhancementService(env).scheduleAutoEnhance(
+      { id: playlistId, user_id: userData.userId },
+      autoEnhance === undefined ? null : Boolean(autoEnhance)
+    );
+    
     // Fetch the created playlist
     const createdPlaylist = await PlaylistDB.findById(env.DB, playlistId);
     
     return jsonResponse({
       success: true,
+      autoEnhance: autoEnhanceResult,
       playlist: {
         id: createdPlaylist.id,
         title: createdPlaylist.title,
@@ -517,6 +684,7 @@ async function handleCreatePlaylist(request, env) {
         sourceCount: createdPlaylist.source_count,
         views: createdPlaylist.views,
         enhanced: Boolean(createdPlaylist.enhanced),
+        enhancementStatus: createdPlaylist.enhancement_status,
         thumbnailUrl: createdPlaylist.thumbnail_url,
         youtubeId: createdPlaylist.youtube_id,
         createdAt: createdPlaylist.created_at,
@@ -554,6 +722,20 @@ async function handleGetPlaylist(request, env, playlistId) {
     // Increment view count
     await PlaylistDB.incrementViews(env.DB, playlistId);
     
+    const objectives = await LearningObjectiveDB.findByPlaylistId(env.DB, playlistId);
+    
+    // Serve the translation that best matches ?lang= or Accept-Language
+    const translations = (await PlaylistTranslationDB.findByPlaylistId(env.DB, playlistId))
+      .filter(translation => !isTranslationStale(translation, playlist));
+    const sourceLanguage = translations[0]?.source_language || null;
+    const translation = negotiateTranslation(request, translations, sourceLanguage);
+    
+    const headers = { 'Vary': 'Accept-Language' };
+    const language = translation ? translation.language : sourceLanguage;
+    if (language) {
+      headers['Content-Language'] = language;
+    }
+    
     return jsonResponse({
       success: true,
       playlist: {
@@ -561,16 +743,26 @@ async function handleGetPlaylist(request, env, playlistId) {
         title: playlist.title,
         originalDescription: playlist.original_description,
         aiDescription: playlist.ai_description,
+        localizedDescription: translation
+          ? translation.description
+          : playlist.ai_description || playlist.original_description,
+        language,
+        translated: Boolean(translation),
+        availableLanguages: sourceLanguage
+          ? [sourceLanguage, ...translations.map(item => item.language)]
+          : [],
         videoCount: playlist.video_count,
         sourceCount: playlist.source_count,
         views: playlist.views + 1, // Include the increment
         enhanced: Boolean(playlist.enhanced),
         thumbnailUrl: playlist.thumbnail_url,
         youtubeId: playlist.youtube_id,
+        categories: transformCategories(playlist),
+        learningObjectives: objectives.map(transformObjective),
         createdAt: playlist.created_at,
         updatedAt: playlist.updated_at
       }
-    });
+    }, 200, headers);
     
   } catch (error) {
     console.error('Get playlist error:', error);
@@ -705,6 +897,61 @@ async function handleDeletePlaylist(request, env, playlistId) {
   }
 }
 
+/**
+ * Search user's playlists by text and/or category filters
+ */
+async function handleSearchPlaylists(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const url = new URL(request.url);
+    
+    const query = url.searchParams.get('q')?.trim() || '';
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100);
+    const filters = parseCategoryFilters(url);
+    
+    if (query.length < 2 && Object.keys(filters).length === 0) {
+      return jsonResponse({ 
+        error: 'Search query must be at least 2 characters, or provide a category filter' 
+      }, 400);
+    }
+    
+    const result = await PlaylistDB.search(env.DB, userData.userId, query, { limit, filters });
+    
+    if (!result.success) {
+      return jsonResponse({ error: 'Failed to search playlists' }, 500);
+    }
+    
+    const transformedResults = result.results.map(playlist => ({
+      id: playlist.id,
+      title: playlist.title,
+      originalDescription: playlist.original_description,
+      aiDescription: playlist.ai_description,
+      videoCount: playlist.video_count,
+      enhanced: Boolean(playlist.enhanced),
+      thumbnailUrl: playlist.thumbnail_url,
+      youtubeId: playlist.youtube_id,
+      categories: transformCategories(playlist),
+      createdAt: playlist.created_at,
+      updatedAt: playlist.updated_at
+    }));
+    
+    return jsonResponse({
+      success: true,
+      results: transformedResults,
+      query,
+      filters,
+      total: transformedResults.length
+    });
+    
+  } catch (error) {
+    console.error('Search playlists error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to search playlists' }, 500);
+  }
+}
+
 /**
  * Get user stats
  */
@@ -819,6 +1066,12 @@ async function handleImportPlaylist(request, env, youtubeAPI) {
         WHERE id = ?
       `).bind(newPlaylistId, importedCount, importResult.videos.length, importId).run();
       
+      // Queue an AI description if auto-enhance is on
+      const autoEnhanceResult = await new EnhancementService(env).scheduleAutoEnhance(
+        { id: newPlaylistId, user_id: userData.userId },
+        options.autoEnhance
+      );
+      
       // Get the created playlist
       const createdPlaylist = await PlaylistDB.findById(env.DB, newPlaylistId);
       
@@ -830,11 +1083,13 @@ async function handleImportPlaylist(request, env, youtubeAPI) {
           videosImported: importedCount,
           totalVideos: importResult.videos.length
         },
+        autoEnhance: autoEnhanceResult,
         playlist: {
           id: createdPlaylist.id,
           title: createdPlaylist.title,
           originalDescription: createdPlaylist.original_description,
           videoCount: importedCount,
+          enhancementStatus: createdPlaylist.enhancement_status,
           youtubeId: createdPlaylist.youtube_id,
           thumbnailUrl: createdPlaylist.thumbnail_url,
           createdAt: createdPlaylist.created_at
@@ -907,6 +1162,10 @@ async function handleGetPlaylistVideos(request, env, playlistId) {
       SELECT COUNT(*) as total FROM playlist_videos WHERE playlist_id = ?
     `).bind(playlistId).first();
     
+    const summaries = await VideoSummaryDB.findByVideoIds(
+      env.DB, (videos.results || []).map(video => video.youtube_video_id)
+    );
+    
     const transformedVideos = (videos.results || []).map(video => ({
       id: video.id,
       videoId: video.youtube_video_id,
@@ -921,7 +1180,8 @@ async function handleGetPlaylistVideos(request, env, playlistId) {
       likeCount: video.like_count,
       position: video.position,
       addedAt: video.added_at,
-      url: `https://youtube.com/watch?v=${video.youtube_video_id}`
+      url: `https://youtube.com/watch?v=${video.youtube_video_id}`,
+      aiSummary: transformVideoSummary(summaries.get(video.youtube_video_id))
     }));
     
     return jsonResponse({
@@ -1221,10 +1481,11 @@ async function handleGetImportStatus(request, env, importId) {
 async function handleEnhancePlaylist(request, env, playlistId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
     
-    if (!env.OPENAI_API_KEY) {
+    if (!enhancementService.isConfigured()) {
       return jsonResponse({ 
-        error: 'AI enhancement not available. OpenAI API key not configured.' 
+        error: 'AI enhancement not available. AI provider not configured.' 
       }, 503);
     }
     
@@ -1239,368 +1500,2027 @@ async function handleEnhancePlaylist(request, env, playlistId) {
     }
     
     // Check if already enhanced recently
-    const recentEnhancement = await env.DB.prepare(`
-      SELECT id FROM enhancement_history 
-      WHERE playlist_id = ? AND enhancement_type = 'description' 
-      AND completed_at > strftime('%s', 'now') - 3600
-      ORDER BY completed_at DESC LIMIT 1
-    `).bind(playlistId).first();
-    
-    if (recentEnhancement) {
+    if (await isInEnhancementCooldown(env, playlistId)) {
       return jsonResponse({ 
         error: 'Playlist was enhanced recently. Please wait before enhancing again.' 
       }, 429);
     }
     
-    // Get playlist videos
-    const videos = await env.DB.prepare(`
-      SELECT * FROM playlist_videos WHERE playlist_id = ? ORDER BY position LIMIT 20
-    `).bind(playlistId).all();
-    
-    // Get user AI preferences
-    let preferences = await env.DB.prepare(`
-      SELECT * FROM user_ai_preferences WHERE user_id = ?
-    `).bind(userData.userId).first();
-    
-    if (!preferences) {
-      // Create default preferences
-      const prefsId = crypto.randomUUID();
-      await env.DB.prepare(`
-        INSERT INTO user_ai_preferences (id, user_id) VALUES (?, ?)
-      `).bind(prefsId, userData.userId).run();
-      
-      preferences = {
-        enhancement_style: 'educational',
-        include_keywords: 1,
-        include_learning_objectives: 1,
-        preferred_ai_model: 'gpt-4o-mini'
-      };
-    }
-    
-    // Initialize AI client
-    const aiClient = new OpenAIClient(env.OPENAI_API_KEY, preferences.preferred_ai_model || 'gpt-4o-mini');
-    
-    // Prepare playlist data
-    const playlistData = ContentPreparation.preparePlaylistData(playlist, videos.results || []);
-    
-    // Start enhancement record
-    const enhancementId = crypto.randomUUID();
-    await env.DB.prepare(`
-      INSERT INTO enhancement_history 
-      (id, playlist_id, user_id, enhancement_type, original_content, status, ai_model)
-      VALUES (?, ?, ?, 'description', ?, 'processing', ?)
-    `).bind(
-      enhancementId, playlistId, userData.userId, 
-      playlist.original_description || '', 
-      preferences.preferred_ai_model || 'gpt-4o-mini'
-    ).run();
+    const enhancement = await enhancementService.enhanceDescription(playlist);
     
-    try {
-      // Enhance description
-      const enhancementResult = await aiClient.enhancePlaylistDescription(playlistData, {
-        style: preferences.enhancement_style || 'educational',
-        includeKeywords: Boolean(preferences.include_keywords),
-        includeLearningObjectives: Boolean(preferences.include_learning_objectives),
-        maxLength: 500
-      });
-      
-      if (!enhancementResult.success) {
-        throw new Error('AI enhancement request failed');
-      }
-      
-      const enhancedContent = ContentPreparation.sanitizeEnhancedContent(enhancementResult.content);
-      const metrics = ContentPreparation.extractMetrics(enhancementResult);
-      
-      // Update enhancement record
-      await env.DB.prepare(`
-        UPDATE enhancement_history 
-        SET enhanced_content = ?, tokens_used = ?, cost_usd = ?, 
-            processing_time_ms = ?, status = 'completed', 
-            completed_at = strftime('%s', 'now')
-        WHERE id = ?
-      `).bind(
-        enhancedContent, metrics.totalTokens, metrics.cost,
-        metrics.processingTime, enhancementId
-      ).run();
-      
-      // Update playlist
-      await PlaylistDB.update(env.DB, playlistId, {
-        aiDescription: enhancedContent,
-        enhanced: true
-      });
-      
-      // Track usage - simple implementation without external function
-      try {
-        await env.DB.prepare(`
-          INSERT INTO playlist_analytics 
-          (id, playlist_id, event_type, metadata, timestamp)
-          VALUES (?, ?, 'ai_enhancement_completed', ?, strftime('%s', 'now'))
-        `).bind(
-          crypto.randomUUID(),
-          playlistId,
-          JSON.stringify({
-            enhancementId,
-            tokensUsed: metrics.totalTokens,
-            cost: metrics.cost
-          })
-        ).run();
-      } catch (analyticsError) {
-        console.error('Analytics tracking failed:', analyticsError);
-        // Continue execution - analytics failure shouldn't break the enhancement
+    return jsonResponse({
+      success: true,
+      enhancement: {
+        id: enhancement.id,
+        originalDescription: enhancement.originalDescription,
+        enhancedDescription: enhancement.enhancedDescription,
+        style: enhancement.style,
+        metrics: {
+          tokensUsed: enhancement.metrics.totalTokens,
+          cost: enhancement.metrics.cost,
+          processingTime: enhancement.metrics.processingTime,
+          model: enhancement.metrics.model
+        },
+        quality: transformQuality(enhancement.quality)
       }
-      
-      return jsonResponse({
-        success: true,
-        enhancement: {
-          id: enhancementId,
-          originalDescription: playlist.original_description || '',
-          enhancedDescription: enhancedContent,
-          metrics: {
-            tokensUsed: metrics.totalTokens,
-            cost: metrics.cost,
-            processingTime: metrics.processingTime,
-            model: metrics.model
-          }
-        }
-      });
-      
-    } catch (aiError) {
-      // Update enhancement record with error
-      await env.DB.prepare(`
-        UPDATE enhancement_history 
-        SET status = 'failed', error_message = ?, 
-            completed_at = strftime('%s', 'now')
-        WHERE id = ?
-      `).bind(aiError.message, enhancementId).run();
-      
-      throw aiError;
-    }
+    });
     
   } catch (error) {
     console.error('Enhancement error:', error);
-    return jsonResponse({ 
-      error: `Enhancement failed: ${error.message}` 
-    }, 500);
+    return aiErrorResponse(error, 'Enhancement failed');
   }
 }
 
 /**
- * Get enhancement history for playlist
+ * Enhance playlist description and stream the output as Server-Sent Events.
+ * Events: 'start', 'token' ({ text }), then 'complete' (same enhancement
+ * payload as the non-streaming endpoint) or 'error' ({ error, status }).
  */
-async function handleGetEnhancement(request, env, playlistId) {
+async function handleEnhancePlaylistStream(request, env, ctx, playlistId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
     
     // Validate playlist ownership
     const playlist = await PlaylistDB.findById(env.DB, playlistId);
-    if (!playlist || playlist.user_id !== userData.userId) {
+    if (!playlist) {
       return jsonResponse({ error: 'Playlist not found' }, 404);
     }
     
-    // Get enhancement history
-    const enhancements = await env.DB.prepare(`
-      SELECT * FROM enhancement_history 
-      WHERE playlist_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT 10
-    `).bind(playlistId).all();
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
     
-    return jsonResponse({
-      success: true,
-      enhancements: (enhancements.results || []).map(e => ({
-        id: e.id,
-        type: e.enhancement_type,
-        status: e.status,
-        originalContent: e.original_content,
-        enhancedContent: e.enhanced_content,
-        tokensUsed: e.tokens_used,
-        cost: e.cost_usd,
-        model: e.ai_model,
-        processingTime: e.processing_time_ms,
-        createdAt: e.created_at,
-        completedAt: e.completed_at,
-        errorMessage: e.error_message
-      }))
+    if (await isInEnhancementCooldown(env, playlistId)) {
+      return jsonResponse({ 
+        error: 'Playlist was enhanced recently. Please wait before enhancing again.' 
+      }, 429);
+    }
+    
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    
+    // A disconnected client must not abort the enhancement, so write errors are ignored
+    const sendEvent = (event, data) => writer
+      .write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+      .catch(() => {});
+    
+    ctx.waitUntil((async () => {
+      try {
+        sendEvent('start', { playlistId });
+        
+        const enhancement = await enhancementService.enhanceDescription(playlist, {
+          onToken: (text) => { sendEvent('token', { text }); }
+        });
+        
+        await sendEvent('complete', {
+          success: true,
+          enhancement: {
+            id: enhancement.id,
+            originalDescription: enhancement.originalDescription,
+            enhancedDescription: enhancement.enhancedDescription,
+            style: enhancement.style,
+            metrics: {
+              tokensUsed: enhancement.metrics.totalTokens,
+              cost: enhancement.metrics.cost,
+              processingTime: enhancement.metrics.processingTime,
+              model: enhancement.metrics.model
+            },
+            quality: transformQuality(enhancement.quality)
+          }
+        });
+      } catch (error) {
+        console.error('Streaming enhancement error:', error);
+        const { status, body } = aiErrorResult(error, 'Enhancement failed');
+        await sendEvent('error', { ...body, status });
+      } finally {
+        await writer.close().catch(() => {});
+      }
+    })());
+    
+    return new Response(readable, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+      }
     });
     
   } catch (error) {
-    return jsonResponse({ error: 'Unauthorized' }, 401);
+    console.error('Streaming enhancement error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: `Enhancement failed: ${error.message}` }, 500);
   }
 }
 
 /**
- * Analyze playlist content
+ * Generate several description candidates under one pending enhancement.
+ * Body (optional): { count, vary: 'style'|'temperature' } or
+ * { variants: [{ style, temperature }] }.
  */
-async function handleAnalyzeContent(request, env, playlistId) {
+async function handleEnhanceVariants(request, env, playlistId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // The body is optional; an empty one asks for the default variants
+    const data = await request.json().catch(() => ({}));
+    const { count = VARIANT_LIMITS.min, vary = 'style', variants } = data || {};
+    const countError = `Between ${VARIANT_LIMITS.min} and ${VARIANT_LIMITS.max} variants can be generated`;
+    
+    if (variants !== undefined) {
+      if (!Array.isArray(variants) || variants.length < VARIANT_LIMITS.min || variants.length > VARIANT_LIMITS.max) {
+        return jsonResponse({ error: countError }, 400);
+      }
+      
+      for (const variant of variants) {
+        if (!variant || typeof variant !== 'object') {
+          return jsonResponse({ error: 'Each variant must be an object with style and/or temperature' }, 400);
+        }
+        if (variant.style !== undefined && !ENHANCEMENT_STYLES.includes(variant.style)) {
+          return jsonResponse({ 
+            error: `Invalid enhancement style. Supported: ${ENHANCEMENT_STYLES.join(', ')}` 
+          }, 400);
+        }
+        if (variant.temperature !== undefined && (typeof variant.temperature !== 'number' ||
+            variant.temperature < VARIANT_LIMITS.minTemperature || variant.temperature > VARIANT_LIMITS.maxTemperature)) {
+          return jsonResponse({ 
+            error: `Temperature must be between ${VARIANT_LIMITS.minTemperature} and ${VARIANT_LIMITS.maxTemperature}` 
+          }, 400);
+        }
+      }
+    } else {
+      if (!Number.isInteger(count) || count < VARIANT_LIMITS.min || count > VARIANT_LIMITS.max) {
+        return jsonResponse({ error: countError }, 400);
+      }
+      if (!['style', 'temperature'].includes(vary)) {
+        return jsonResponse({ error: 'vary must be style or temperature' }, 400);
+      }
+    }
     
     // Validate playlist ownership
     const playlist = await PlaylistDB.findById(env.DB, playlistId);
-    if (!playlist || playlist.user_id !== userData.userId) {
+    if (!playlist) {
       return jsonResponse({ error: 'Playlist not found' }, 404);
     }
     
-    // Get playlist videos
-    const videos = await env.DB.prepare(`
-      SELECT * FROM playlist_videos WHERE playlist_id = ? ORDER BY position
-    `).bind(playlistId).all();
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
     
-    // Initialize analysis engine
-    const analysisEngine = new ContentAnalysisEngine(env.DB);
+    if (await isInEnhancementCooldown(env, playlistId)) {
+      return jsonResponse({ 
+        error: 'Playlist was enhanced recently. Please wait before enhancing again.' 
+      }, 429);
+    }
     
-    // Perform analysis
-    const analysis = await analysisEngine.getComprehensiveAnalysis(playlistId, videos.results || []);
+    const result = await enhancementService.generateDescriptionVariants(playlist, { count, vary, variants });
     
     return jsonResponse({
       success: true,
-      analysis
+      enhancement: {
+        id: result.id,
+        status: 'pending',
+        originalDescription: playlist.original_description || '',
+        candidates: result.candidates.map(candidate => ({
+          id: candidate.id,
+          position: candidate.position,
+          style: candidate.style,
+          temperature: candidate.temperature,
+          status: candidate.status,
+          content: candidate.content,
+          cost: candidate.metrics?.cost || 0,
+          quality: transformQuality(candidate.quality),
+          error: candidate.error
+        })),
+        metrics: {
+          tokensUsed: result.metrics.totalTokens,
+          cost: result.metrics.cost,
+          processingTime: result.metrics.processingTime,
+          model: result.model
+        }
+      }
     });
     
   } catch (error) {
-    console.error('Analysis error:', error);
-    return jsonResponse({ 
-      error: `Analysis failed: ${error.message}` 
-    }, 500);
+    console.error('Variant generation error:', error);
+    return aiErrorResponse(error, 'Variant generation failed');
   }
 }
 
 /**
- * Get AI usage statistics
+ * Apply one candidate of a pending variants enhancement to the playlist
  */
-async function handleGetAIUsage(request, env) {
+async function handleSelectCandidate(request, env, playlistId, enhancementId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
     
-    // Get usage for last 30 days
-    const thirtyDaysAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['candidateId']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
     
-    const usage = await env.DB.prepare(`
-      SELECT 
-        DATE(created_at, 'unixepoch') as date,
-        COUNT(*) as requests,
-        SUM(tokens_used) as total_tokens,
-        SUM(cost_usd) as total_cost,
-        AVG(processing_time_ms) as avg_processing_time
-      FROM enhancement_history 
-      WHERE user_id = ? AND created_at > ? AND status = 'completed'
-      GROUP BY DATE(created_at, 'unixepoch')
-      ORDER BY date DESC
-    `).bind(userData.userId, thirtyDaysAgo).all();
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
     
-    const totals = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total_requests,
-        SUM(tokens_used) as total_tokens,
-        SUM(cost_usd) as total_cost
-      FROM enhancement_history 
-      WHERE user_id = ? AND status = 'completed'
-    `).bind(userData.userId).first();
+    const enhancement = await env.DB.prepare(`
+      SELECT * FROM enhancement_history 
+      WHERE id = ? AND playlist_id = ? AND enhancement_type = 'description'
+    `).bind(enhancementId, playlistId).first();
+    
+    if (!enhancement) {
+      return jsonResponse({ error: 'Enhancement not found' }, 404);
+    }
+    
+    const candidate = await env.DB.prepare(`
+      SELECT * FROM enhancement_candidates WHERE id = ? AND enhancement_id = ?
+    `).bind(bodyResult.data.candidateId, enhancementId).first();
+    
+    if (!candidate) {
+      return jsonResponse({ error: 'Candidate not found' }, 404);
+    }
+    
+    if (enhancement.status !== 'pending') {
+      return jsonResponse({ 
+        error: `Enhancement is no longer pending (status: ${enhancement.status})` 
+      }, 409);
+    }
+    
+    if (candidate.status !== 'generated') {
+      return jsonResponse({ error: 'Failed candidates cannot be selected' }, 409);
+    }
+    
+    const enhancementService = new EnhancementService(env);
+    const result = await enhancementService.selectCandidate(playlist, enhancement, candidate);
     
     return jsonResponse({
       success: true,
-      usage: {
-        daily: usage.results || [],
-        totals: totals || { total_requests: 0, total_tokens: 0, total_cost: 0 }
+      enhancement: {
+        id: enhancement.id,
+        type: 'description',
+        status: 'completed',
+        selectedCandidateId: candidate.id,
+        style: result.style
+      },
+      enhancedDescription: result.enhancedDescription
+    });
+    
+  } catch (error) {
+    console.error('Select candidate error:', error);
+    return aiErrorResponse(error, 'Failed to select candidate');
+  }
+}
+
+/**
+ * Generate AI summaries for a playlist's videos. Body (optional): { force }
+ * to regenerate summaries that already exist.
+ */
+async function handleSummarizeVideos(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // The body is optional
+    const data = await request.json().catch(() => ({}));
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const result = await enhancementService.summarizeVideos(playlist, { force: Boolean(data?.force) });
+    
+    return jsonResponse({
+      success: true,
+      summaries: {
+        enhancementId: result.id,
+        generated: result.generated,
+        failed: result.failed,
+        cached: result.cached,
+        remaining: result.remaining
+      },
+      metrics: result.metrics ? {
+        tokensUsed: result.metrics.totalTokens,
+        cost: result.metrics.cost,
+        processingTime: result.metrics.processingTime,
+        model: result.metrics.model
+      } : null
+    });
+    
+  } catch (error) {
+    console.error('Video summary error:', error);
+    return aiErrorResponse(error, 'Video summarization failed');
+  }
+}
+
+/**
+ * Generate alternative titles for a playlist without changing it
+ */
+async function handleSuggestTitles(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const suggestion = await enhancementService.suggestTitles(playlist);
+    
+    return jsonResponse({
+      success: true,
+      enhancement: {
+        id: suggestion.id,
+        originalTitle: suggestion.originalTitle,
+        alternatives: suggestion.alternatives,
+        metrics: {
+          tokensUsed: suggestion.metrics.totalTokens,
+          cost: suggestion.metrics.cost,
+          processingTime: suggestion.metrics.processingTime,
+          model: suggestion.metrics.model
+        }
       }
     });
     
   } catch (error) {
-    return jsonResponse({ error: 'Unauthorized' }, 401);
+    console.error('Title suggestion error:', error);
+    return aiErrorResponse(error, 'Title suggestion failed');
   }
 }
 
 /**
- * Get user AI preferences
+ * Apply one of the suggested titles (by index, or an edited title)
  */
-async function handleGetAIPreferences(request, env) {
+async function handleApplyTitle(request, env, playlistId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
     
-    let preferences = await env.DB.prepare(`
-      SELECT * FROM user_ai_preferences WHERE user_id = ?
-    `).bind(userData.userId).first();
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['enhancementId']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
     
-    if (!preferences) {
-      // Create default preferences
-      const prefsId = crypto.randomUUID();
-      await env.DB.prepare(`
-        INSERT INTO user_ai_preferences (id, user_id) VALUES (?, ?)
-      `).bind(prefsId, userData.userId).run();
-      
-      preferences = {
-        enhancement_style: 'educational',
-        auto_enhance: 0,
-        max_monthly_cost: 10.0,
-        preferred_ai_model: 'gpt-4o-mini',
-        language_preference: 'en',
-        content_level: 'intermediate',
-        include_keywords: 1,
-        include_learning_objectives: 1,
-        include_difficulty_assessment: 0
-      };
+    const { enhancementId, index, title } = bodyResult.data;
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
     }
     
+    const enhancement = await env.DB.prepare(`
+      SELECT * FROM enhancement_history 
+      WHERE id = ? AND playlist_id = ? AND enhancement_type = 'title'
+    `).bind(enhancementId, playlistId).first();
+    
+    if (!enhancement) {
+      return jsonResponse({ error: 'Title suggestion not found' }, 404);
+    }
+    
+    if (enhancement.status !== 'pending') {
+      return jsonResponse({ 
+        error: `Title suggestion is no longer pending (status: ${enhancement.status})` 
+      }, 409);
+    }
+    
+    const alternatives = JSON.parse(enhancement.metadata || '{}').alternatives || [];
+    let chosenTitle;
+    
+    if (index !== undefined) {
+      if (!Number.isInteger(index) || index < 0 || index >= alternatives.length) {
+        return jsonResponse({ error: `Index must be between 0 and ${alternatives.length - 1}` }, 400);
+      }
+      chosenTitle = alternatives[index];
+    } else if (typeof title === 'string') {
+      chosenTitle = title.trim();
+      if (chosenTitle.length === 0) {
+        return jsonResponse({ error: 'Title cannot be empty' }, 400);
+      }
+      if (chosenTitle.length > 200) {
+        return jsonResponse({ error: 'Title too long (max 200 characters)' }, 400);
+      }
+    } else {
+      return jsonResponse({ error: 'Provide either index or title' }, 400);
+    }
+    
+    const enhancementService = new EnhancementService(env);
+    const result = await enhancementService.applyTitle(playlist, enhancement, chosenTitle);
+    
     return jsonResponse({
       success: true,
-      preferences: {
-        enhancementStyle: preferences.enhancement_style,
-        autoEnhance: Boolean(preferences.auto_enhance),
-        maxMonthlyCost: preferences.max_monthly_cost,
-        preferredModel: preferences.preferred_ai_model,
-        language: preferences.language_preference,
-        contentLevel: preferences.content_level,
-        includeKeywords: Boolean(preferences.include_keywords),
-        includeLearningObjectives: Boolean(preferences.include_learning_objectives),
-        includeDifficultyAssessment: Boolean(preferences.include_difficulty_assessment)
+      enhancement: {
+        id: enhancement.id,
+        type: 'title',
+        status: 'completed'
+      },
+      title: result.title,
+      previousTitle: result.previousTitle
+    });
+    
+  } catch (error) {
+    console.error('Apply title error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: `Failed to apply title: ${error.message}` }, 500);
+  }
+}
+
+/**
+ * Categorize a playlist by subject, level and format
+ */
+async function handleCategorizePlaylist(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    // { refresh: true } skips the AI response cache
+    const body = (await request.json().catch(() => null)) || {};
+    const result = await enhancementService.categorize(playlist, { bypassCache: body.refresh === true });
+    
+    return jsonResponse({
+      success: true,
+      enhancement: {
+        id: result.id,
+        categories: result.categories,
+        cached: result.metrics.cached,
+        metrics: {
+          tokensUsed: result.metrics.totalTokens,
+          cost: result.metrics.cost,
+          processingTime: result.metrics.processingTime,
+          model: result.metrics.model
+        }
       }
     });
     
   } catch (error) {
-    return jsonResponse({ error: 'Unauthorized' }, 401);
+    console.error('Categorization error:', error);
+    return aiErrorResponse(error, 'Categorization failed');
   }
 }
 
 /**
- * Update user AI preferences
+ * Get a playlist's learning objectives
  */
-async function handleUpdateAIPreferences(request, env) {
+async function handleGetObjectives(request, env, playlistId) {
   try {
     const userData = await extractUserFromToken(request, env.JWT_SECRET);
-    const data = await request.json();
     
-    // Validate preferences
-    const updates = {};
-    if (data.enhancementStyle) updates.enhancement_style = data.enhancementStyle;
-    if (data.autoEnhance !== undefined) updates.auto_enhance = data.autoEnhance ? 1 : 0;
-    if (data.maxMonthlyCost) updates.max_monthly_cost = Math.max(1, Math.min(100, data.maxMonthlyCost));
-    if (data.preferredModel) updates.preferred_ai_model = data.preferredModel;
-    if (data.language) updates.language_preference = data.language;
-    if (data.contentLevel) updates.content_level = data.contentLevel;
-    if (data.includeKeywords !== undefined) updates.include_keywords = data.includeKeywords ? 1 : 0;
-    if (data.includeLearningObjectives !== undefined) updates.include_learning_objectives = data.includeLearningObjectives ? 1 : 0;
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
     
-    // Update preferences
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updates);
-    values.push(userData.userId);
+    const objectives = await LearningObjectiveDB.findByPlaylistId(env.DB, playlistId);
     
-    await env.DB.prepare(`
-      UPDATE user_ai_preferences 
-      SET ${fields}, updated_at = strftime('%s', 'now')
-      WHERE user_id = ?
-    `).bind(...values).run();
+    return jsonResponse({
+      success: true,
+      objectives: objectives.map(transformObjective)
+    });
+    
+  } catch (error) {
+    console.error('Get objectives error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to fetch learning objectives' }, 500);
+  }
+}
+
+/**
+ * Generate learning objectives for a playlist, replacing the current list
+ */
+async function handleGenerateObjectives(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const result = await enhancementService.generateObjectives(playlist);
     
     return jsonResponse({
       success: true,
-      message: 'Preferences updated successfully'
+      enhancement: {
+        id: result.id,
+        objectives: result.objectives.map(transformObjective),
+        metrics: {
+          tokensUsed: result.metrics.totalTokens,
+          cost: result.metrics.cost,
+          processingTime: result.metrics.processingTime,
+          model: result.metrics.model
+        }
+      }
     });
     
   } catch (error) {
-    return jsonResponse({ error: 'Failed to update preferences' }, 500);
+    console.error('Objectives generation error:', error);
+    return aiErrorResponse(error, 'Objectives generation failed');
   }
 }
 
+/**
+ * List a playlist's description translations. Translations of an earlier
+ * version of the enhanced description are marked stale and are not served.
+ */
+async function handleGetTranslations(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const translations = await PlaylistTranslationDB.findByPlaylistId(env.DB, playlistId);
+    
+    return jsonResponse({
+      success: true,
+      sourceLanguage: translations[0]?.source_language || null,
+      translations: translations.map(translation => transformTranslation(translation, playlist)),
+      supportedLanguages: Object.keys(LANGUAGE_NAMES)
+    });
+    
+  } catch (error) {
+    console.error('Get translations error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to fetch translations' }, 500);
+  }
+}
+
+/**
+ * Translate a playlist's enhanced description into the requested languages
+ */
+async function handleTranslateDescription(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    const data = await request.json().catch(() => ({}));
+    const languages = Array.isArray(data?.languages)
+      ? [...new Set(data.languages.map(language => String(language).trim().toLowerCase()))]
+      : [];
+    
+    if (languages.length === 0 || languages.length > TRANSLATION_MAX_LANGUAGES) {
+      return jsonResponse({ 
+        error: `languages must list between 1 and ${TRANSLATION_MAX_LANGUAGES} language codes` 
+      }, 400);
+    }
+    
+    const unsupported = languages.filter(language => !LANGUAGE_NAMES[language]);
+    if (unsupported.length > 0) {
+      return jsonResponse({ 
+        error: `Unsupported languages: ${unsupported.join(', ')}. Supported: ${Object.keys(LANGUAGE_NAMES).join(', ')}` 
+      }, 400);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const result = await enhancementService.translateDescription(playlist, languages);
+    
+    return jsonResponse({
+      success: true,
+      translation: {
+        enhancementId: result.id,
+        sourceLanguage: result.sourceLanguage,
+        translations: result.translations,
+        failed: result.failed
+      },
+      metrics: {
+        tokensUsed: result.metrics.totalTokens,
+        cost: result.metrics.cost,
+        processingTime: result.metrics.processingTime,
+        model: result.metrics.model
+      }
+    });
+    
+  } catch (error) {
+    console.error('Translate description error:', error);
+    if (error.message.includes('no enhanced description')) {
+      return jsonResponse({ error: error.message }, 409);
+    }
+    if (error.message.includes('Cannot translate')) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    return aiErrorResponse(error, 'Translation failed');
+  }
+}
+
+/**
+ * Replace a playlist's learning objectives with a user-edited list
+ */
+async function handleUpdateObjectives(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['objectives']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    if (playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Access denied' }, 403);
+    }
+    
+    const videos = await env.DB.prepare(`
+      SELECT id FROM playlist_videos WHERE playlist_id = ?
+    `).bind(playlistId).all();
+    
+    const validation = PlaylistValidator.validateLearningObjectives(
+      bodyResult.data.objectives,
+      (videos.results || []).map(video => video.id)
+    );
+    if (!validation.valid) {
+      return jsonResponse({ error: validation.errors.join(', ') }, 400);
+    }
+    
+    const enhancementService = new EnhancementService(env);
+    const objectives = await enhancementService.updateObjectives(playlist, validation.data);
+    
+    return jsonResponse({
+      success: true,
+      objectives: objectives.map(transformObjective)
+    });
+    
+  } catch (error) {
+    console.error('Update objectives error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to update learning objectives' }, 500);
+  }
+}
+
+/**
+ * Get enhancement history for playlist
+ */
+async function handleGetEnhancement(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    // Get enhancement history
+    const enhancements = await env.DB.prepare(`
+      SELECT * FROM enhancement_history 
+      WHERE playlist_id = ? 
+      ORDER BY created_at DESC 
+      LIMIT 10
+    `).bind(playlistId).all();
+    
+    return jsonResponse({
+      success: true,
+      enhancements: (enhancements.results || []).map(e => ({
+        id: e.id,
+        type: e.enhancement_type,
+        status: e.status,
+        originalContent: e.original_content,
+        enhancedContent: e.enhanced_content,
+        previousContent: e.previous_content,
+        style: e.enhancement_style,
+        userRating: e.user_rating,
+        qualityScore: e.quality_score,
+        metadata: e.metadata ? JSON.parse(e.metadata) : null,
+        tokensUsed: e.tokens_used,
+        cost: e.cost_usd,
+        model: e.ai_model,
+        processingTime: e.processing_time_ms,
+        cached: Boolean(e.cached),
+        promptTemplate: e.prompt_template_id ? { id: e.prompt_template_id, version: e.prompt_template_version } : null,
+        createdAt: e.created_at,
+        completedAt: e.completed_at,
+        errorMessage: e.error_message
+      }))
+    });
+    
+  } catch (error) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+}
+
+/**
+ * Revert an applied enhancement, restoring the playlist to its prior state
+ */
+async function handleRevertEnhancement(request, env, playlistId, enhancementId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    const enhancement = await env.DB.prepare(`
+      SELECT * FROM enhancement_history WHERE id = ? AND playlist_id = ?
+    `).bind(enhancementId, playlistId).first();
+    
+    if (!enhancement) {
+      return jsonResponse({ error: 'Enhancement not found' }, 404);
+    }
+    
+    if (!REVERTIBLE_ENHANCEMENT_TYPES.includes(enhancement.enhancement_type)) {
+      return jsonResponse({ 
+        error: `${enhancement.enhancement_type} enhancements cannot be reverted`,
+        revertibleTypes: REVERTIBLE_ENHANCEMENT_TYPES
+      }, 400);
+    }
+    
+    if (enhancement.status !== 'completed') {
+      return jsonResponse({ 
+        error: `Only completed enhancements can be reverted (status: ${enhancement.status})` 
+      }, 409);
+    }
+    
+    const enhancementService = new EnhancementService(env);
+    
+    // Reverting anything but the latest would silently drop newer changes
+    const latest = await enhancementService.getLatestApplied(playlistId, enhancement.enhancement_type);
+    if (latest && latest.id !== enhancement.id) {
+      return jsonResponse({ 
+        error: 'Only the most recent enhancement can be reverted. Revert newer enhancements first.',
+        latestEnhancementId: latest.id
+      }, 409);
+    }
+    
+    const result = await enhancementService.revertEnhancement(playlist, enhancement);
+    const updatedPlaylist = await PlaylistDB.findById(env.DB, playlistId);
+    
+    return jsonResponse({
+      success: true,
+      enhancement: {
+        id: enhancement.id,
+        type: enhancement.enhancement_type,
+        status: 'reverted'
+      },
+      playlist: {
+        id: updatedPlaylist.id,
+        title: updatedPlaylist.title,
+        aiDescription: updatedPlaylist.ai_description,
+        enhanced: Boolean(updatedPlaylist.enhanced),
+        enhancementVersion: updatedPlaylist.enhancement_version,
+        enhancementStatus: updatedPlaylist.enhancement_status
+      },
+      restoredContent: result.restoredContent
+    });
+    
+  } catch (error) {
+    console.error('Revert enhancement error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: `Revert failed: ${error.message}` }, 500);
+  }
+}
+
+/**
+ * Word-level diff from another version to an enhancement's output.
+ * `?from=` selects the other version: 'current' (default, the playlist's
+ * current text), 'original' (the text the enhancement started from),
+ * 'previous' (the text before it was applied) or another enhancement id.
+ */
+async function handleDiffEnhancement(request, env, playlistId, enhancementId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const url = new URL(request.url);
+    const from = url.searchParams.get('from') || 'current';
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    const enhancement = await env.DB.prepare(`
+      SELECT * FROM enhancement_history WHERE id = ? AND playlist_id = ?
+    `).bind(enhancementId, playlistId).first();
+    
+    if (!enhancement) {
+      return jsonResponse({ error: 'Enhancement not found' }, 404);
+    }
+    
+    if (!['description', 'title'].includes(enhancement.enhancement_type)) {
+      return jsonResponse({ 
+        error: `Cannot diff ${enhancement.enhancement_type} enhancements` 
+      }, 400);
+    }
+    
+    if (enhancement.enhanced_content === null || enhancement.enhanced_content === undefined) {
+      return jsonResponse({ 
+        error: `Enhancement has no content to compare (status: ${enhancement.status})` 
+      }, 409);
+    }
+    
+    let fromContent;
+    if (from === 'current') {
+      fromContent = enhancement.enhancement_type === 'title'
+        ? playlist.title
+        : (playlist.ai_description || playlist.original_description || '');
+    } else if (from === 'original') {
+      fromContent = enhancement.original_content || '';
+    } else if (from === 'previous') {
+      fromContent = await new EnhancementService(env).getContentBefore(enhancement);
+    } else {
+      const other = await env.DB.prepare(`
+        SELECT * FROM enhancement_history WHERE id = ? AND playlist_id = ?
+      `).bind(from, playlistId).first();
+      
+      if (!other) {
+        return jsonResponse({ error: 'Enhancement to compare against not found' }, 404);
+      }
+      
+      if (other.enhancement_type !== enhancement.enhancement_type) {
+        return jsonResponse({ error: 'Can only compare enhancements of the same type' }, 400);
+      }
+      
+      fromContent = other.enhanced_content || '';
+    }
+    
+    const diff = diffWords(fromContent, enhancement.enhanced_content);
+    
+    return jsonResponse({
+      success: true,
+      diff: {
+        from,
+        to: enhancement.id,
+        type: enhancement.enhancement_type,
+        segments: diff.segments,
+        stats: diff.stats
+      }
+    });
+    
+  } catch (error) {
+    console.error('Diff enhancement error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to diff enhancement' }, 500);
+  }
+}
+
+/**
+ * Rate an enhancement (1-5)
+ */
+async function handleRateEnhancement(request, env, playlistId, enhancementId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['rating']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
+    
+    const rating = Number(bodyResult.data.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return jsonResponse({ error: 'Rating must be an integer from 1 to 5' }, 400);
+    }
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    const enhancement = await env.DB.prepare(`
+      SELECT id, status FROM enhancement_history WHERE id = ? AND playlist_id = ?
+    `).bind(enhancementId, playlistId).first();
+    
+    if (!enhancement) {
+      return jsonResponse({ error: 'Enhancement not found' }, 404);
+    }
+    
+    if (!['completed', 'reverted'].includes(enhancement.status)) {
+      return jsonResponse({ error: 'Only finished enhancements can be rated' }, 409);
+    }
+    
+    await env.DB.prepare(`
+      UPDATE enhancement_history SET user_rating = ? WHERE id = ?
+    `).bind(rating, enhancementId).run();
+    
+    return jsonResponse({
+      success: true,
+      enhancement: {
+        id: enhancementId,
+        userRating: rating
+      }
+    });
+    
+  } catch (error) {
+    console.error('Rate enhancement error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to rate enhancement' }, 500);
+  }
+}
+
+/**
+ * Analyze playlist content.
+ * Body (optional): { ai: true } adds the billed AI analysis, recorded as an
+ * 'analysis' enhancement and served from the AI response cache when the
+ * playlist is unchanged; { refresh: true } skips that cache.
+ */
+async function handleAnalyzeContent(request, env, playlistId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    // Validate playlist ownership
+    const playlist = await PlaylistDB.findById(env.DB, playlistId);
+    if (!playlist || playlist.user_id !== userData.userId) {
+      return jsonResponse({ error: 'Playlist not found' }, 404);
+    }
+    
+    // Get playlist videos
+    const videos = await env.DB.prepare(`
+      SELECT * FROM playlist_videos WHERE playlist_id = ? ORDER BY position
+    `).bind(playlistId).all();
+    
+    const body = (await request.json().catch(() => null)) || {};
+    const enhancementService = new EnhancementService(env);
+    
+    if (body.ai === true && !enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI analysis not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    // Initialize analysis engine
+    const analysisEngine = new ContentAnalysisEngine(env.DB);
+    
+    // Perform analysis
+    const analysis = await analysisEngine.getComprehensiveAnalysis(playlistId, videos.results || []);
+    
+    if (body.ai === true) {
+      const aiAnalysis = await enhancementService.analyzeContent(playlist, videos.results || [], {
+        bypassCache: body.refresh === true
+      });
+      
+      analysis.aiAnalysis = aiAnalysis.analysis;
+      analysis.confidence.aiAnalysis = aiAnalysis.confidence;
+      analysis.enhancement = {
+        id: aiAnalysis.id,
+        cached: aiAnalysis.cached,
+        metrics: {
+          tokensUsed: aiAnalysis.metrics.totalTokens,
+          cost: aiAnalysis.metrics.cost,
+          processingTime: aiAnalysis.metrics.processingTime,
+          model: aiAnalysis.metrics.model
+        }
+      };
+    }
+    
+    return jsonResponse({
+      success: true,
+      analysis
+    });
+    
+  } catch (error) {
+    console.error('Analysis error:', error);
+    return aiErrorResponse(error, 'Analysis failed');
+  }
+}
+
+/**
+ * Get AI usage statistics
+ */
+async function handleGetAIUsage(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    // Length of the daily series (?days=)
+    const daysParam = new URL(request.url).searchParams.get('days');
+    const days = daysParam === null ? USAGE_SERIES_DAYS.default : parseInt(daysParam);
+    if (!Number.isInteger(days) || days < 1 || days > USAGE_SERIES_DAYS.max) {
+      return jsonResponse({ error: `days must be between 1 and ${USAGE_SERIES_DAYS.max}` }, 400);
+    }
+    
+    const totals = await env.DB.prepare(`
+      SELECT 
+        COUNT(*) as total_requests,
+        SUM(tokens_used) as total_tokens,
+        SUM(cost_usd) as total_cost
+      FROM enhancement_history 
+      WHERE user_id = ? AND status = 'completed'
+    `).bind(userData.userId).first();
+    
+    // Rating aggregates (reverted enhancements keep their ratings)
+    const ratingsByStyle = await env.DB.prepare(`
+      SELECT 
+        enhancement_style as style,
+        COUNT(*) as ratings,
+        AVG(user_rating) as avg_rating,
+        AVG(quality_score) as avg_quality_score
+      FROM enhancement_history 
+      WHERE user_id = ? AND user_rating IS NOT NULL AND enhancement_style IS NOT NULL
+      GROUP BY enhancement_style
+      ORDER BY avg_rating DESC
+    `).bind(userData.userId).all();
+    
+    const ratingsByModel = await env.DB.prepare(`
+      SELECT 
+        ai_model as model,
+        COUNT(*) as ratings,
+        AVG(user_rating) as avg_rating,
+        AVG(quality_score) as avg_quality_score
+      FROM enhancement_history 
+      WHERE user_id = ? AND user_rating IS NOT NULL
+      GROUP BY ai_model
+      ORDER BY avg_rating DESC
+    `).bind(userData.userId).all();
+    
+    // Variant win rates: how often a candidate was picked once shown
+    const variantsByStyle = await env.DB.prepare(`
+      SELECT 
+        style,
+        COUNT(*) as shown,
+        SUM(CASE WHEN status = 'selected' THEN 1 ELSE 0 END) as wins,
+        AVG(CASE WHEN status = 'selected' THEN 1.0 ELSE 0 END) as win_rate,
+        AVG(quality_score) as avg_quality_score
+      FROM enhancement_candidates 
+      WHERE user_id = ? AND status IN ('selected', 'rejected')
+      GROUP BY style
+      ORDER BY win_rate DESC
+    `).bind(userData.userId).all();
+    
+    const variantsByTemperature = await env.DB.prepare(`
+      SELECT 
+        temperature,
+        COUNT(*) as shown,
+        SUM(CASE WHEN status = 'selected' THEN 1 ELSE 0 END) as wins,
+        AVG(CASE WHEN status = 'selected' THEN 1.0 ELSE 0 END) as win_rate,
+        AVG(quality_score) as avg_quality_score
+      FROM enhancement_candidates 
+      WHERE user_id = ? AND status IN ('selected', 'rejected')
+      GROUP BY temperature
+      ORDER BY win_rate DESC
+    `).bind(userData.userId).all();
+    
+    // Monthly budget status
+    const enhancementService = new EnhancementService(env);
+    const preferences = await enhancementService.getPreferences(userData.userId);
+    const projection = await enhancementService.projectMonthlySpend(userData.userId, preferences);
+    const monthToDate = projection.monthToDate;
+    const monthlyLimit = preferences.max_monthly_cost;
+    
+    const series = await enhancementService.getUsageSeries(userData.userId, days);
+    
+    return jsonResponse({
+      success: true,
+      usage: {
+        totals: totals || { total_requests: 0, total_tokens: 0, total_cost: 0 },
+        series,
+        budget: {
+          monthlyLimit,
+          spent: monthToDate,
+          remaining: monthlyLimit === null ? null : Math.max(0, monthlyLimit - monthToDate),
+          action: preferences.budget_action || 'block',
+          projection: {
+            dailyRate: projection.dailyRate,
+            projectedMonthEnd: projection.projectedMonthEnd,
+            projectedOverLimit: projection.projectedOverLimit,
+            limitReachedOn: projection.limitReachedOn,
+            daysElapsed: projection.daysElapsed,
+            daysInMonth: projection.daysInMonth
+          }
+        },
+        ratings: {
+          byStyle: ratingsByStyle.results || [],
+          byModel: ratingsByModel.results || []
+        },
+        variants: {
+          byStyle: variantsByStyle.results || [],
+          byTemperature: variantsByTemperature.results || []
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to fetch AI usage' }, 500);
+  }
+}
+
+/**
+ * Get user AI preferences
+ */
+async function handleGetAIPreferences(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    let preferences = await env.DB.prepare(`
+      SELECT * FROM user_ai_preferences WHERE user_id = ?
+    `).bind(userData.userId).first();
+    
+    if (!preferences) {
+      // Create default preferences
+      const prefsId = crypto.randomUUID();
+      await env.DB.prepare(`
+        INSERT INTO user_ai_preferences (id, user_id) VALUES (?, ?)
+      `).bind(prefsId, userData.userId).run();
+      
+      preferences = { ...DEFAULT_AI_PREFERENCES };
+    }
+    
+    return jsonResponse({
+      success: true,
+      preferences: {
+        enhancementStyle: preferences.enhancement_style,
+        autoEnhance: Boolean(preferences.auto_enhance),
+        maxMonthlyCost: preferences.max_monthly_cost,
+        budgetAction: preferences.budget_action || 'block',
+        preferredModel: preferences.preferred_ai_model,
+        language: preferences.language_preference,
+        contentLevel: preferences.content_level,
+        includeKeywords: Boolean(preferences.include_keywords),
+        includeLearningObjectives: Boolean(preferences.include_learning_objectives),
+        includeDifficultyAssessment: Boolean(preferences.include_difficulty_assessment),
+        customPromptAdditions: preferences.custom_prompt_additions || null
+      }
+    });
+    
+  } catch (error) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+}
+
+/**
+ * Update user AI preferences
+ */
+async function handleUpdateAIPreferences(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const data = await request.json();
+    
+    // Validate preferences
+    const updates = {};
+    if (data.enhancementStyle) {
+      if (data.enhancementStyle !== 'auto' && !ENHANCEMENT_STYLES.includes(data.enhancementStyle)) {
+        return jsonResponse({ 
+          error: `Invalid enhancement style. Supported: auto, ${ENHANCEMENT_STYLES.join(', ')}` 
+        }, 400);
+      }
+      updates.enhancement_style = data.enhancementStyle;
+    }
+    if (data.autoEnhance !== undefined) updates.auto_enhance = data.autoEnhance ? 1 : 0;
+    if (data.maxMonthlyCost) updates.max_monthly_cost = Math.max(1, Math.min(100, data.maxMonthlyCost));
+    if (data.budgetAction) {
+      if (!BUDGET_ACTIONS.includes(data.budgetAction)) {
+        return jsonResponse({ 
+          error: `Invalid budget action. Supported: ${BUDGET_ACTIONS.join(', ')}` 
+        }, 400);
+      }
+      updates.budget_action = data.budgetAction;
+    }
+    if (data.preferredModel) updates.preferred_ai_model = data.preferredModel;
+    if (data.language) updates.language_preference = data.language;
+    if (data.contentLevel) updates.content_level = data.contentLevel;
+    if (data.includeKeywords !== undefined) updates.include_keywords = data.includeKeywords ? 1 : 0;
+    if (data.includeLearningObjectives !== undefined) updates.include_learning_objectives = data.includeLearningObjectives ? 1 : 0;
+    if (data.customPromptAdditions !== undefined) {
+      if (data.customPromptAdditions !== null && typeof data.customPromptAdditions !== 'string') {
+        return jsonResponse({ error: 'customPromptAdditions must be a string' }, 400);
+      }
+      if ((data.customPromptAdditions || '').length > MAX_CUSTOM_PROMPT_LENGTH) {
+        return jsonResponse({ 
+          error: `customPromptAdditions cannot exceed ${MAX_CUSTOM_PROMPT_LENGTH} characters` 
+        }, 400);
+      }
+      updates.custom_prompt_additions = data.customPromptAdditions?.trim() || null;
+    }
+    
+    // Update preferences
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(userData.userId);
+    
+    await env.DB.prepare(`
+      UPDATE user_ai_preferences 
+      SET ${fields}, updated_at = strftime('%s', 'now')
+      WHERE user_id = ?
+    `).bind(...values).run();
+    
+    return jsonResponse({
+      success: true,
+      message: 'Preferences updated successfully'
+    });
+    
+  } catch (error) {
+    return jsonResponse({ error: 'Failed to update preferences' }, 500);
+  }
+}
+
+/**
+ * Queue AI enhancements for background processing
+ */
+async function handleEnqueueEnhancements(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    const bodyResult = await RequestValidator.validateJsonBody(request);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
+    
+    const { playlistId, enhancementType = 'description', priority = 5 } = bodyResult.data;
+    const playlistIds = bodyResult.data.playlistIds || (playlistId ? [playlistId] : []);
+    
+    if (!Array.isArray(playlistIds) || playlistIds.length === 0) {
+      return jsonResponse({ error: 'playlistId or playlistIds is required' }, 400);
+    }
+    
+    if (playlistIds.length > 100) {
+      return jsonResponse({ error: 'Cannot queue more than 100 playlists at once' }, 400);
+    }
+    
+    if (!QUEUE_ENHANCEMENT_TYPES.includes(enhancementType)) {
+      return jsonResponse({ 
+        error: `Invalid enhancement type. Supported: ${QUEUE_ENHANCEMENT_TYPES.join(', ')}` 
+      }, 400);
+    }
+    
+    const queue = new AIProcessingQueue(env.DB);
+    const jobs = [];
+    const rejected = [];
+    
+    for (const id of playlistIds) {
+      const playlist = await PlaylistDB.findById(env.DB, id);
+      if (!playlist || playlist.user_id !== userData.userId) {
+        rejected.push({ playlistId: id, error: 'Playlist not found' });
+        continue;
+      }
+      
+      const { job, created } = await queue.enqueue({
+        userId: userData.userId,
+        playlistId: id,
+        enhancementType,
+        priority
+      });
+      
+      if (created && enhancementType === 'description') {
+        await PlaylistDB.setEnhancementStatus(env.DB, id, 'pending');
+      }
+      
+      jobs.push({ ...transformQueueJob(job), alreadyQueued: !created });
+    }
+    
+    return jsonResponse({
+      success: true,
+      jobs,
+      rejected
+    }, 202);
+    
+  } catch (error) {
+    console.error('Enqueue enhancements error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to queue enhancements' }, 500);
+  }
+}
+
+/**
+ * Enhance descriptions for several playlists at once, reporting per-playlist results
+ */
+async function handleBatchEnhance(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const enhancementService = new EnhancementService(env);
+    
+    if (!enhancementService.isConfigured()) {
+      return jsonResponse({ 
+        error: 'AI enhancement not available. AI provider not configured.' 
+      }, 503);
+    }
+    
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['playlistIds']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
+    
+    const { playlistIds } = bodyResult.data;
+    const maxPlaylists = parseInt(env.AI_BATCH_MAX_PLAYLISTS) || 50;
+    
+    if (!Array.isArray(playlistIds) || playlistIds.length === 0) {
+      return jsonResponse({ error: 'playlistIds must be a non-empty array' }, 400);
+    }
+    
+    if (playlistIds.length > maxPlaylists) {
+      return jsonResponse({ error: `Cannot batch enhance more than ${maxPlaylists} playlists at once` }, 400);
+    }
+    
+    const playlists = [];
+    const rejected = [];
+    
+    for (const id of [...new Set(playlistIds)]) {
+      const playlist = await PlaylistDB.findById(env.DB, id);
+      if (!playlist || playlist.user_id !== userData.userId) {
+        rejected.push({ playlistId: id, error: 'Playlist not found' });
+        continue;
+      }
+      
+      // Same cooldown as single-playlist enhancement
+      if (await isInEnhancementCooldown(env, id)) {
+        rejected.push({ playlistId: id, error: 'Playlist was enhanced recently' });
+        continue;
+      }
+      
+      playlists.push(playlist);
+    }
+    
+    const results = await enhancementService.enhanceDescriptionBatch(playlists);
+    
+    const summary = results.reduce((totals, result) => {
+      result.success ? totals.succeeded++ : totals.failed++;
+      totals.tokensUsed += result.metrics?.totalTokens || 0;
+      totals.cost += result.metrics?.cost || 0;
+      return totals;
+    }, { requested: playlistIds.length, succeeded: 0, failed: 0, rejected: rejected.length, tokensUsed: 0, cost: 0 });
+    
+    return jsonResponse({
+      success: true,
+      results: results.map(result => ({
+        playlistId: result.playlistId,
+        success: result.success,
+        enhancementId: result.enhancementId,
+        enhancedDescription: result.enhancedDescription,
+        error: result.error,
+        tokensUsed: result.metrics?.totalTokens || 0,
+        cost: result.metrics?.cost || 0,
+        quality: transformQuality(result.quality)
+      })),
+      rejected,
+      summary
+    });
+    
+  } catch (error) {
+    console.error('Batch enhancement error:', error);
+    return aiErrorResponse(error, 'Batch enhancement failed');
+  }
+}
+
+/**
+ * List the user's queued AI jobs
+ */
+async function handleGetQueue(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    const url = new URL(request.url);
+    
+    const status = url.searchParams.get('status');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 100);
+    
+    const queue = new AIProcessingQueue(env.DB);
+    const jobs = await queue.listForUser(userData.userId, { status, limit });
+    
+    return jsonResponse({
+      success: true,
+      jobs: jobs.map(transformQueueJob)
+    });
+    
+  } catch (error) {
+    console.error('Get queue error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to fetch queue' }, 500);
+  }
+}
+
+/**
+ * Get a single queued AI job
+ */
+async function handleGetQueueJob(request, env, jobId) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    
+    const queue = new AIProcessingQueue(env.DB);
+    const job = await queue.getJob(jobId, userData.userId);
+    
+    if (!job) {
+      return jsonResponse({ error: 'Job not found' }, 404);
+    }
+    
+    return jsonResponse({
+      success: true,
+      job: transformQueueJob(job)
+    });
+    
+  } catch (error) {
+    console.error('Get queue job error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to fetch job' }, 500);
+  }
+}
+
+// === ADMIN IMPLEMENTATION ===
+
+/**
+ * List prompt templates with their active versions
+ */
+async function handleListPromptTemplates(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    if (!isAdmin(env, userData)) {
+      return jsonResponse({ error: 'Admin access required' }, 403);
+    }
+    
+    const registry = new PromptRegistry(env.DB);
+    const templates = [];
+    for (const name of PROMPT_TEMPLATE_NAMES) {
+      const active = await registry.getActive(name);
+      templates.push({ name, activeVersion: active.version, activeId: active.id });
+    }
+    
+    return jsonResponse({ success: true, templates });
+    
+  } catch (error) {
+    console.error('List prompt templates error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to list prompt templates' }, 500);
+  }
+}
+
+/**
+ * Get every version of a prompt template with per-version usage stats
+ */
+async function handleGetPromptTemplate(request, env, name) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    if (!isAdmin(env, userData)) {
+      return jsonResponse({ error: 'Admin access required' }, 403);
+    }
+    
+    if (!PROMPT_TEMPLATE_NAMES.includes(name)) {
+      return jsonResponse({ error: 'Prompt template not found' }, 404);
+    }
+    
+    const registry = new PromptRegistry(env.DB);
+    const versions = await registry.listVersions(name);
+    const stats = new Map((await registry.getStats(name)).map(row => [row.version, row]));
+    
+    return jsonResponse({
+      success: true,
+      name,
+      versions: versions.map(version => ({
+        ...version,
+        stats: stats.get(version.version) || null
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get prompt template error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to get prompt template' }, 500);
+  }
+}
+
+/**
+ * Publish a new version of a prompt template and activate it.
+ * Body: { body, systemPrompt?, notes? }
+ */
+async function handlePublishPromptTemplate(request, env, name) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    if (!isAdmin(env, userData)) {
+      return jsonResponse({ error: 'Admin access required' }, 403);
+    }
+    
+    if (!PROMPT_TEMPLATE_NAMES.includes(name)) {
+      return jsonResponse({ error: 'Prompt template not found' }, 404);
+    }
+    
+    const bodyResult = await RequestValidator.validateJsonBody(request, ['body']);
+    if (!bodyResult.valid) {
+      return jsonResponse({ error: bodyResult.error }, 400);
+    }
+    
+    const { body, systemPrompt = null, notes = null } = bodyResult.data;
+    const registry = new PromptRegistry(env.DB);
+    
+    const validation = registry.validate(name, { body, systemPrompt });
+    if (!validation.valid) {
+      return jsonResponse({ error: validation.errors.join(', ') }, 400);
+    }
+    
+    const template = await registry.publish(name, {
+      body,
+      systemPrompt,
+      notes: typeof notes === 'string' ? notes.substring(0, 500) : null
+    }, userData.email);
+    
+    return jsonResponse({ success: true, template }, 201);
+    
+  } catch (error) {
+    console.error('Publish prompt template error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: `Failed to publish prompt template: ${error.message}` }, 500);
+  }
+}
+
+/**
+ * Re-activate an earlier version of a prompt template.
+ * Body (optional): { version }; defaults to the version before the active one.
+ */
+async function handleRollbackPromptTemplate(request, env, name) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    if (!isAdmin(env, userData)) {
+      return jsonResponse({ error: 'Admin access required' }, 403);
+    }
+    
+    if (!PROMPT_TEMPLATE_NAMES.includes(name)) {
+      return jsonResponse({ error: 'Prompt template not found' }, 404);
+    }
+    
+    // The body is optional
+    const data = await request.json().catch(() => ({}));
+    const version = data?.version ?? null;
+    if (version !== null && (!Number.isInteger(version) || version < 1)) {
+      return jsonResponse({ error: 'version must be a positive integer' }, 400);
+    }
+    
+    const registry = new PromptRegistry(env.DB);
+    const template = await registry.rollback(name, version);
+    
+    return jsonResponse({ success: true, template });
+    
+  } catch (error) {
+    console.error('Rollback prompt template error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    if (error.message.includes('not found')) {
+      return jsonResponse({ error: error.message }, 404);
+    }
+    if (error.message.includes('already active') || error.message.includes('No earlier')) {
+      return jsonResponse({ error: error.message }, 409);
+    }
+    return jsonResponse({ error: `Failed to roll back prompt template: ${error.message}` }, 500);
+  }
+}
+
+/**
+ * AI spend across all users for a date range (?from=&to=, YYYY-MM-DD, UTC,
+ * inclusive; the current month by default). ?format=csv downloads it as CSV,
+ * optionally a single ?section=.
+ */
+async function handleGetAICostReport(request, env) {
+  try {
+    const userData = await extractUserFromToken(request, env.JWT_SECRET);
+    if (!isAdmin(env, userData)) {
+      return jsonResponse({ error: 'Admin access required' }, 403);
+    }
+    
+    const params = new URL(request.url).searchParams;
+    const today = new Date().toISOString().split('T')[0];
+    const from = params.get('from') || `${today.substring(0, 7)}-01`;
+    const to = params.get('to') || today;
+    const format = params.get('format') || 'json';
+    const section = params.get('section');
+    const limit = params.has('limit') ? parseInt(params.get('limit')) : COST_REPORT_SPENDER_LIMITS.default;
+    
+    // Impossible dates such as 2024-02-30 either fail to parse or roll over to another day
+    const isDate = (value) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+      const time = Date.parse(`${value}T00:00:00Z`);
+      return !Number.isNaN(time) && new Date(time).toISOString().split('T')[0] === value;
+    };
+    
+    if (!isDate(from) || !isDate(to)) {
+      return jsonResponse({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+    }
+    if (from > to) {
+      return jsonResponse({ error: 'from must not be after to' }, 400);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > COST_REPORT_SPENDER_LIMITS.max) {
+      return jsonResponse({ error: `limit must be between 1 and ${COST_REPORT_SPENDER_LIMITS.max}` }, 400);
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return jsonResponse({ error: 'format must be json or csv' }, 400);
+    }
+    if (section !== null && !COST_REPORT_SECTIONS.includes(section)) {
+      return jsonResponse({ 
+        error: `Invalid section. Supported: ${COST_REPORT_SECTIONS.join(', ')}` 
+      }, 400);
+    }
+    
+    const report = await new AICostReport(env.DB).build({ from, to, limit });
+    
+    if (format === 'csv') {
+      const filename = `ai-costs-${from}-to-${to}${section ? `-${section}` : ''}.csv`;
+      return new Response(AICostReport.toCsv(report, section), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+        }
+      });
+    }
+    
+    return jsonResponse({ success: true, report });
+    
+  } catch (error) {
+    console.error('AI cost report error:', error);
+    if (error.message.includes('Unauthorized')) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+    return jsonResponse({ error: 'Failed to build AI cost report' }, 500);
+  }
+}
+
+/**
+ * Whether the token belongs to an admin (listed in the ADMIN_EMAILS secret)
+ */
+function isAdmin(env, userData) {
+  const admins = (env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  
+  return Boolean(userData.email) && admins.includes(userData.email.toLowerCase());
+}
+
+/**
+ * Whether a playlist's description was enhanced within the last hour
+ */
+async function isInEnhancementCooldown(env, playlistId) {
+  const recentEnhancement = await env.DB.prepare(`
+    SELECT id FROM enhancement_history 
+    WHERE playlist_id = ? AND enhancement_type = 'description' 
+    AND completed_at > strftime('%s', 'now') - 3600
+    ORDER BY completed_at DESC LIMIT 1
+  `).bind(playlistId).first();
+  
+  return Boolean(recentEnhancement);
+}
+
+/**
+ * Read category filters (category, subject, level, format, tag) from query params
+ */
+function parseCategoryFilters(url) {
+  const filters = {};
+  
+  for (const key of ['category', 'subject', 'level', 'format', 'tag']) {
+    const value = url.searchParams.get(key)?.trim().toLowerCase();
+    if (value) {
+      filters[key] = value;
+    }
+  }
+  
+  return filters;
+}
+
+/**
+ * Shape stored playlist categories for API responses
+ */
+function transformCategories(playlist) {
+  if (!playlist.categories) {
+    return null;
+  }
+  
+  try {
+    return {
+      ...JSON.parse(playlist.categories),
+      categorizedAt: playlist.categorized_at
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shape a stored learning objective for API responses
+ */
+function transformObjective(row) {
+  let videoIds = [];
+  try {
+    videoIds = row.video_ids ? JSON.parse(row.video_ids) : [];
+  } catch {
+    // Treat an unreadable list as covering the whole playlist
+  }
+  
+  return {
+    id: row.id,
+    objective: row.objective,
+    videoIds,
+    position: row.position,
+    source: row.source,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shape a stored video summary for API responses
+ */
+function transformVideoSummary(row) {
+  if (!row) {
+    return null;
+  }
+  
+  let keyPoints = [];
+  try {
+    keyPoints = row.key_points ? JSON.parse(row.key_points) : [];
+  } catch {
+    // Show the summary without key points
+  }
+  
+  return {
+    summary: row.summary,
+    keyPoints,
+    model: row.ai_model,
+    generatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shape a stored description translation for API responses
+ */
+function transformTranslation(row, playlist) {
+  return {
+    language: row.language,
+    languageName: LANGUAGE_NAMES[row.language] || row.language,
+    description: row.description,
+    stale: isTranslationStale(row, playlist),
+    model: row.ai_model,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * A translation is stale once the description it was made from has changed
+ */
+function isTranslationStale(translation, playlist) {
+  return translation.source_description !== playlist.ai_description;
+}
+
+/**
+ * Pick the translation to serve: the first of ?lang= and the Accept-Language
+ * ranges (highest q first) that is available, where "fr-CH" also matches "fr".
+ * Returns null for the original description, when it is the better match or
+ * nothing matches.
+ */
+function negotiateTranslation(request, translations, sourceLanguage) {
+  if (translations.length === 0) {
+    return null;
+  }
+  
+  const requested = parseAcceptLanguage(request.headers.get('Accept-Language'));
+  const lang = new URL(request.url).searchParams.get('lang');
+  if (lang) {
+    requested.unshift(lang.trim().toLowerCase());
+  }
+  
+  for (const tag of requested) {
+    const language = tag.split('-')[0];
+    if (language === sourceLanguage) {
+      return null;
+    }
+    
+    const translation = translations.find(item => item.language === language);
+    if (translation) {
+      return translation;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Language tags from an Accept-Language header, most preferred first.
+ * Wildcards and ranges with q=0 are left out.
+ */
+function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+  
+  return header.split(',')
+    .map((range, index) => {
+      const [tag, ...params] = range.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(range => range.tag && range.tag !== '*' && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(range => range.tag);
+}
+
+/**
+ * Shape a quality evaluation for API responses
+ */
+function transformQuality(quality) {
+  if (!quality) {
+    return null;
+  }
+  
+  return {
+    score: quality.score,
+    flags: quality.flags,
+    checks: quality.checks,
+    threshold: quality.threshold,
+    attempts: quality.attempts
+  };
+}
+
+/**
+ * Process due jobs from the AI queue (invoked by the cron trigger)
+ */
+async function processAIQueue(env) {
+  const enhancementService = new EnhancementService(env);
+  
+  if (!enhancementService.isConfigured()) {
+    console.warn('AI queue skipped: AI provider not configured');
+    return;
+  }
+  
+  const queue = new AIProcessingQueue(env.DB);
+  const batchSize = parseInt(env.AI_QUEUE_BATCH_SIZE) || 5;
+  
+  await queue.process({
+    description: async (job) => {
+      const playlist = await PlaylistDB.findById(env.DB, job.playlist_id);
+      if (!playlist) {
+        return { skipped: true, reason: 'Playlist no longer exists' };
+      }
+      
+      const enhancement = await enhancementService.enhanceDescription(playlist);
+      return {
+        enhancementId: enhancement.id,
+        tokensUsed: enhancement.metrics.totalTokens,
+        cost: enhancement.metrics.cost,
+        qualityScore: enhancement.quality.score
+      };
+    },
+    
+    categorization: async (job) => {
+      const playlist = await PlaylistDB.findById(env.DB, job.playlist_id);
+      if (!playlist) {
+        return { skipped: true, reason: 'Playlist no longer exists' };
+      }
+      
+      const result = await enhancementService.categorize(playlist);
+      return {
+        enhancementId: result.id,
+        tokensUsed: result.metrics.totalTokens,
+        cost: result.metrics.cost
+      };
+    }
+  }, { batchSize });
+}
+
+/**
+ * Status and body for a failed AI operation, from the flags set on the error:
+ * 401 for a bad token, 402 over the monthly budget, 503 while the provider
+ * circuit is open, 502 for output that failed validation, otherwise 500.
+ * Messages other than budget and circuit errors are prefixed with failurePrefix.
+ */
+function aiErrorResult(error, failurePrefix) {
+  if (error.unauthorized) {
+    return { status: 401, body: { error: 'Unauthorized' } };
+  }
+  if (error.budgetExceeded) {
+    return { status: 402, body: { error: error.message } };
+  }
+  if (error.circuitOpen) {
+    return { status: 503, body: { error: error.message, retryAfter: error.retryAfter || 60 } };
+  }
+  if (error.validationErrors) {
+    return {
+      status: 502,
+      body: { error: `${failurePrefix}: ${error.message}`, validationErrors: error.validationErrors }
+    };
+  }
+  return { status: 500, body: { error: `${failurePrefix}: ${error.message}` } };
+}
+
+/**
+ * JSON response for a failed AI operation (see aiErrorResult)
+ */
+function aiErrorResponse(error, failurePrefix) {
+  const { status, body } = aiErrorResult(error, failurePrefix);
+  const headers = status === 503 ? { 'Retry-After': String(body.retryAfter) } : {};
+  return jsonResponse(body, status, headers);
+}
+
 /**
  * Helper function to create JSON responses
  */